@@ -0,0 +1,99 @@
+/**
+ * ata-cache.js - Campaign-wide cache of destination token accounts
+ *
+ * Destination ATAs are derived once per recipient and looked up in chunked
+ * getMultipleAccountsInfo calls, so building a batch (including retries and
+ * splits) needs no per-recipient RPC requests. Entries are marked as existing
+ * once one of our own transactions has paid into them.
+ */
+
+import { getAssociatedTokenAddressSync, ASSOCIATED_TOKEN_PROGRAM_ID } from 'https://esm.sh/@solana/spl-token@0.4.6';
+
+// getMultipleAccountsInfo accepts at most 100 accounts per request
+export const MAX_ACCOUNTS_PER_REQUEST = 100;
+
+// Mint and token program the cached accounts belong to
+let cacheMint = null;
+let cacheProgramId = null;
+
+// Owner address -> { address: PublicKey, exists: boolean, info: AccountInfo|null }
+const entries = new Map();
+
+/**
+ * Clear the cache and bind it to a mint
+ * @param {PublicKey|null} mint - Mint of the campaign (null for native SOL)
+ * @param {PublicKey} programId - Token program owning the mint
+ */
+export function resetAtaCache(mint, programId) {
+  cacheMint = mint;
+  cacheProgramId = programId;
+  entries.clear();
+}
+
+/**
+ * Derive an owner's associated token account for the cached mint
+ * @param {PublicKey} owner - Wallet address
+ * @returns {PublicKey} ATA address
+ */
+export function deriveAta(owner) {
+  const key = owner.toString();
+  if (entries.has(key)) return entries.get(key).address;
+  return getAssociatedTokenAddressSync(cacheMint, owner, true, cacheProgramId, ASSOCIATED_TOKEN_PROGRAM_ID);
+}
+
+/**
+ * Fetch account infos in chunks of MAX_ACCOUNTS_PER_REQUEST
+ * @param {Connection} connection - RPC connection
+ * @param {PublicKey[]} addresses - Accounts to fetch
+ * @returns {Promise<Array<AccountInfo|null>>} Account infos in the same order
+ */
+export async function fetchAccountsInChunks(connection, addresses) {
+  const infos = [];
+  for (let i = 0; i < addresses.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+    const chunk = addresses.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+    infos.push(...await connection.getMultipleAccountsInfo(chunk, 'confirmed'));
+  }
+  return infos;
+}
+
+/**
+ * Look up the destination ATAs of owners and store them in the cache
+ * @param {Connection} connection - RPC connection
+ * @param {PublicKey[]} owners - Recipient wallets
+ * @param {Object} [opts]
+ * @param {boolean} [opts.refresh=false] - Fetch owners that are already cached again
+ */
+export async function loadDestinationAtas(connection, owners, { refresh = false } = {}) {
+  const pending = new Map();
+  for (const owner of owners) {
+    const key = owner.toString();
+    if (!pending.has(key) && (refresh || !entries.has(key))) pending.set(key, deriveAta(owner));
+  }
+  if (pending.size === 0) return;
+
+  const keys = Array.from(pending.keys());
+  const infos = await fetchAccountsInChunks(connection, Array.from(pending.values()));
+  keys.forEach((key, i) => {
+    entries.set(key, { address: pending.get(key), exists: !!infos[i], info: infos[i] || null });
+  });
+}
+
+/**
+ * Cached destination ATA of an owner
+ * @param {PublicKey} owner - Recipient wallet
+ * @returns {{address: PublicKey, exists: boolean, info: AccountInfo|null}|null} Entry, or null if not loaded
+ */
+export function getCachedAta(owner) {
+  return entries.get(owner.toString()) || null;
+}
+
+/**
+ * Record that owners' ATAs exist because one of our transactions paid into them
+ * @param {PublicKey[]} owners - Recipient wallets
+ */
+export function markAtasCreated(owners) {
+  for (const owner of owners) {
+    const entry = entries.get(owner.toString());
+    if (entry && !entry.exists) entries.set(owner.toString(), { ...entry, exists: true });
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * campaigns.js - Campaign persistence in IndexedDB and resume offers
+ *
+ * Every run is saved as a campaign record so a reload, closed tab or crash
+ * doesn't lose track of who was paid. Records hold the recipients, the
+ * completed/failed sets, the receipt (signature) for each recipient, and every
+ * broadcast transaction so in-flight signatures can be checked on resume.
+ */
+
+import { PublicKey } from 'https://esm.sh/@solana/web3.js@1.95.3';
+import { log, progressState, formatAmount } from './ui.js';
+import { quoteField } from './recipients.js';
+
+const DB_NAME = 'solana-multisender';
+const DB_VERSION = 1;
+const STORE_NAME = 'campaigns';
+
+let dbPromise = null;
+let persistWarningShown = false;
+
+/**
+ * Open (and create if needed) the campaigns database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a request against the campaigns store and resolve when its transaction completes
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const req = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get a saved campaign
+ * @param {string} id - Campaign ID
+ * @returns {Promise<Object|undefined>} Campaign record
+ */
+export function getCampaign(id) {
+  return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * List all saved campaigns, most recently updated first
+ * @returns {Promise<Array>} Campaign records
+ */
+export async function listCampaigns() {
+  const all = await withStore('readonly', store => store.getAll());
+  return (all || []).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Delete a saved campaign
+ * @param {string} id - Campaign ID
+ */
+export function deleteCampaign(id) {
+  return withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Start tracking a new campaign in progressState
+ * @param {Object} meta - Campaign settings (wallet, cluster, assetMode, mint, decimals, ...)
+ */
+export function beginCampaign(meta) {
+  const now = Date.now();
+  progressState.campaign = {
+    id: `campaign-${now}`,
+    createdAt: now,
+    status: 'running',
+    ...meta
+  };
+}
+
+/**
+ * Build a storable snapshot of the active campaign from progressState
+ * @returns {Object} Campaign record
+ */
+function snapshotCampaign() {
+  return {
+    ...progressState.campaign,
+    updatedAt: Date.now(),
+    recipients: progressState.allRecipients.map(r => ({
+      id: r.id,
+      address: r.address.toString(),
+      amount: r.amount.toString(),
+      memo: r.memo || '',
+      line: r.line,
+      lines: r.lines
+    })),
+    completed: Array.from(progressState.completedRecipients),
+    failed: progressState.failedRecipients.map(r => r.id),
+    receipts: Object.fromEntries(progressState.receipts),
+    broadcasts: Array.from(progressState.broadcasts.values())
+  };
+}
+
+/**
+ * Save the active campaign. Failures are logged once and never stop a run.
+ */
+export async function saveActiveCampaign() {
+  if (!progressState.campaign) return;
+  try {
+    const record = snapshotCampaign();
+    await withStore('readwrite', store => store.put(record));
+  } catch (e) {
+    if (!persistWarningShown) {
+      persistWarningShown = true;
+      log(`⚠️ Could not save campaign progress locally: ${e?.message || String(e)}. This run cannot be resumed.`, 'warning');
+    }
+  }
+}
+
+/**
+ * Set the active campaign's status and save it
+ * @param {string} status - 'running', 'stopped', 'incomplete' or 'finished'
+ */
+export async function setCampaignStatus(status) {
+  if (!progressState.campaign) return;
+  progressState.campaign.status = status;
+  await saveActiveCampaign();
+}
+
+/**
+ * Restore progressState from a saved campaign
+ * @param {Object} record - Campaign record
+ */
+export function restoreCampaignProgress(record) {
+  const { recipients, completed, failed, receipts, broadcasts, ...meta } = record;
+  delete meta.updatedAt;
+  progressState.campaign = { ...meta, status: 'running' };
+  progressState.allRecipients = recipients.map(r => ({
+    id: r.id,
+    address: new PublicKey(r.address),
+    amount: BigInt(r.amount),
+    memo: r.memo || '',
+    line: r.line,
+    lines: r.lines
+  }));
+
+  progressState.completedRecipients = new Set(completed);
+  const failedIds = new Set(failed);
+  progressState.failedRecipients = progressState.allRecipients.filter(r => failedIds.has(r.id));
+  progressState.receipts = new Map(Object.entries(receipts || {}));
+  progressState.broadcasts = new Map((broadcasts || []).map(b => [b.signature, b]));
+  progressState.decimals = record.decimals;
+}
+
+/**
+ * Check that a validated recipients list matches a saved campaign exactly
+ * @param {Object} record - Campaign record
+ * @param {Array} recipients - Validated recipients
+ * @returns {boolean} True if addresses, amounts and memos match entry for entry
+ */
+export function recipientsMatchCampaign(record, recipients) {
+  if (record.recipients.length !== recipients.length) return false;
+  return record.recipients.every((r, i) =>
+    r.address === recipients[i].address.toString()
+      && r.amount === recipients[i].amount.toString()
+      && (r.memo || '') === recipients[i].memo
+  );
+}
+
+/**
+ * Recipients list text for a saved campaign, in the recipients textarea format
+ * @param {Object} record - Campaign record
+ * @returns {string} One "address, amount[, memo]" per line
+ */
+export function campaignRecipientsText(record) {
+  return record.recipients
+    .map(r => `${r.address}, ${formatAmount(BigInt(r.amount), record.decimals)}${r.memo ? `, ${quoteField(r.memo)}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Short human-readable campaign name
+ * @param {Object} record - Campaign record
+ * @returns {string} Label
+ */
+export function campaignLabel(record) {
+  const asset = record.assetMode === 'sol' ? 'SOL' : `${record.mint.slice(0, 4)}…${record.mint.slice(-4)}`;
+  return `${asset} on ${record.cluster}, started ${new Date(record.createdAt).toLocaleString()}`;
+}
+
+/**
+ * Render resume offers for unfinished campaigns
+ * @param {Array} campaigns - Campaign records
+ */
+export function renderResumeOffers(campaigns) {
+  const container = document.getElementById('resume-campaigns');
+  const unfinished = campaigns.filter(c => c.status !== 'finished');
+
+  if (unfinished.length === 0) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="font-bold mb-2">Unfinished campaigns found</p>
+    ${unfinished.map(c => {
+      const total = c.recipients.length;
+      const done = c.completed.length;
+      const inFlight = c.broadcasts.filter(b => b.status === 'pending' || b.status === 'unknown').length;
+      return `
+        <div class="flex items-center justify-between gap-2 py-2 border-t border-indigo-700/50 text-sm">
+          <div class="min-w-0">
+            <div class="truncate">${campaignLabel(c)}</div>
+            <div class="text-xs text-indigo-300">
+              ${done} / ${total} paid, ${c.failed.length} failed${inFlight ? `, ${inFlight} transaction(s) in flight` : ''} · ${c.status}
+            </div>
+          </div>
+          <div class="flex gap-2 shrink-0">
+            <button data-action="resume-campaign" data-id="${c.id}"
+                    class="bg-indigo-600 hover:bg-indigo-700 text-white text-xs py-1 px-3 rounded transition">Resume</button>
+            <button data-action="discard-campaign" data-id="${c.id}"
+                    class="bg-slate-600 hover:bg-slate-500 text-white text-xs py-1 px-3 rounded transition">Discard</button>
+          </div>
+        </div>
+      `;
+    }).join('')}
+  `;
+  container.style.display = 'block';
+}
+
+/**
+ * Reload saved campaigns and refresh resume offers
+ */
+export async function refreshResumeOffers() {
+  try {
+    renderResumeOffers(await listCampaigns());
+  } catch (e) {
+    console.warn('Failed to load saved campaigns:', e);
+  }
+}
@@ -0,0 +1,372 @@
+/**
+ * config-schema.js - Schema validation for config.json
+ *
+ * config.json is parsed with a small JSON reader that remembers the line of
+ * every value, so each problem can point at the line to fix. Invalid entries
+ * are dropped and reported instead of failing later at send time; unknown
+ * fields are reported as warnings (usually a typo).
+ */
+
+import { MAX_BATCH_SIZE, MIN_CONSENSUS_THRESHOLD, MAX_CONSENSUS_THRESHOLD } from './constants.js';
+
+// How an endpoint's API key is sent: ?api-key= query parameter, x-api-key header,
+// Authorization: Bearer header, or as the last path segment of the URL
+export const AUTH_MODES = {
+  query: 'Query (?api-key=)',
+  header: 'Header (x-api-key)',
+  bearer: 'Bearer token',
+  path: 'URL path segment'
+};
+
+// Base58 public key, e.g. a genesis hash
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const JSON_LITERAL = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+/**
+ * Parse JSON text and record the line each value starts on
+ * @param {string} text - JSON text
+ * @returns {{value: *, lineOf: Function}} Parsed value, and a lookup from a path
+ *   (e.g. "rpc.mainnet[0].url") to its line
+ * @throws {SyntaxError} With a `line` property on malformed JSON
+ */
+export function parseJsonWithLines(text) {
+  const src = text.replace(/^\uFEFF/, '');
+  const lines = new Map();
+  let pos = 0;
+  let line = 1;
+
+  const fail = (msg) => {
+    const err = new SyntaxError(`${msg} (line ${line})`);
+    err.line = line;
+    throw err;
+  };
+
+  const skipWhitespace = () => {
+    while (pos < src.length) {
+      const c = src[pos];
+      if (c === '\n') line++;
+      else if (c !== ' ' && c !== '\t' && c !== '\r') break;
+      pos++;
+    }
+  };
+
+  const readString = () => {
+    const start = pos++;
+    while (pos < src.length && src[pos] !== '"') {
+      if (src[pos] === '\n') fail('Unterminated string');
+      pos += src[pos] === '\\' ? 2 : 1;
+    }
+    if (pos >= src.length) fail('Unterminated string');
+    pos++;
+    try {
+      return JSON.parse(src.slice(start, pos));
+    } catch (e) {
+      return fail('Invalid escape in string');
+    }
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    lines.set(path, line);
+    const c = src[pos];
+
+    if (c === '{') {
+      pos++;
+      const obj = {};
+      skipWhitespace();
+      if (src[pos] === '}') {
+        pos++;
+        return obj;
+      }
+      while (true) {
+        skipWhitespace();
+        if (src[pos] !== '"') fail('Expected a property name in double quotes');
+        const key = readString();
+        skipWhitespace();
+        if (src[pos] !== ':') fail(`Expected ':' after "${key}"`);
+        pos++;
+        obj[key] = readValue(path ? `${path}.${key}` : key);
+        skipWhitespace();
+        if (src[pos] === ',') {
+          pos++;
+          continue;
+        }
+        if (src[pos] === '}') {
+          pos++;
+          return obj;
+        }
+        fail(`Expected ',' or '}' after "${key}"`);
+      }
+    }
+
+    if (c === '[') {
+      pos++;
+      const arr = [];
+      skipWhitespace();
+      if (src[pos] === ']') {
+        pos++;
+        return arr;
+      }
+      while (true) {
+        arr.push(readValue(`${path}[${arr.length}]`));
+        skipWhitespace();
+        if (src[pos] === ',') {
+          pos++;
+          continue;
+        }
+        if (src[pos] === ']') {
+          pos++;
+          return arr;
+        }
+        fail("Expected ',' or ']' in array");
+      }
+    }
+
+    if (c === '"') return readString();
+
+    JSON_LITERAL.lastIndex = pos;
+    const match = JSON_LITERAL.exec(src);
+    if (!match) fail(pos >= src.length ? 'Unexpected end of file' : `Unexpected character '${c}'`);
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  };
+
+  const value = readValue('');
+  skipWhitespace();
+  if (pos < src.length) fail('Unexpected content after the end of the JSON');
+
+  return { value, lineOf: (path) => lines.get(path) ?? null };
+}
+
+const ENDPOINT_SCHEMA = {
+  type: 'object',
+  fields: {
+    id: { type: 'string', required: true },
+    label: { type: 'string', required: true },
+    url: { type: 'url', required: true },
+    apiKey: { type: 'string', allowEmpty: true },
+    authMode: { enum: Object.keys(AUTH_MODES) },
+    enabled: { type: 'boolean' },
+    isDefault: { type: 'boolean' }
+  }
+};
+
+const CLUSTER_SCHEMA = {
+  type: 'object',
+  fields: {
+    label: { type: 'string' },
+    url: { type: 'url' },
+    genesisHash: { type: 'string', pattern: BASE58_PATTERN, hint: 'a base58 hash' }
+  }
+};
+
+const DEFAULTS_SCHEMA = {
+  type: 'object',
+  fields: {
+    txVersion: { enum: ['legacy', 'v0'] },
+    batchMode: { enum: ['fixed', 'auto'] },
+    batchSize: { type: 'integer', min: 1, max: MAX_BATCH_SIZE.v0 },
+    consensusThreshold: { type: 'integer', min: MIN_CONSENSUS_THRESHOLD, max: MAX_CONSENSUS_THRESHOLD },
+    commitment: {
+      type: 'object',
+      fields: {
+        landed: { enum: ['confirmed', 'finalized'] },
+        verification: { enum: ['confirmed', 'finalized'] }
+      }
+    },
+    explorerBaseUrl: { type: 'url' },
+    priorityFee: {
+      type: 'object',
+      fields: {
+        mode: { enum: ['off', 'fixed', 'auto'] },
+        microLamports: { type: 'integer', min: 0 }
+      }
+    }
+  },
+  // The batch size limit depends on the transaction format (legacy unless set)
+  refine(out, path, report) {
+    const version = out.txVersion || 'legacy';
+    if (out.batchSize > MAX_BATCH_SIZE[version]) {
+      report('error', `${path}.batchSize`, `must be at most ${MAX_BATCH_SIZE[version]} with ${version} transactions, got ${out.batchSize} (set "txVersion": "v0" for up to ${MAX_BATCH_SIZE.v0})`);
+      delete out.batchSize;
+    }
+  }
+};
+
+// Schema of config.json
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  fields: {
+    rpc: { type: 'map', required: true, values: { type: 'array', items: ENDPOINT_SCHEMA, uniqueBy: 'id' } },
+    clusters: { type: 'map', values: CLUSTER_SCHEMA },
+    defaults: DEFAULTS_SCHEMA
+  }
+};
+
+/**
+ * Describe the value a schema node expects
+ */
+function expected(schema) {
+  if (schema.enum) return `one of ${schema.enum.map(v => `"${v}"`).join(', ')}`;
+  if (schema.type === 'url') return 'an http(s) URL';
+  if (schema.type === 'integer') {
+    const range = schema.max != null ? ` from ${schema.min} to ${schema.max}` : schema.min != null ? ` of at least ${schema.min}` : '';
+    return `a whole number${range}`;
+  }
+  if (schema.type === 'boolean') return 'true or false';
+  if (schema.type === 'map' || schema.type === 'object') return 'an object';
+  if (schema.type === 'array') return 'an array';
+  return schema.hint || (schema.allowEmpty ? 'a string' : 'a non-empty string');
+}
+
+/**
+ * Whether a value is a plain object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a scalar value matches its schema node
+ */
+function scalarOk(value, schema) {
+  if (schema.enum) return schema.enum.includes(value);
+  switch (schema.type) {
+    case 'string':
+      return typeof value === 'string'
+        && (schema.allowEmpty || value.trim() !== '')
+        && (!schema.pattern || schema.pattern.test(value));
+    case 'url':
+      try {
+        return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (e) {
+        return false;
+      }
+    case 'integer':
+      return Number.isInteger(value)
+        && (schema.min == null || value >= schema.min)
+        && (schema.max == null || value <= schema.max);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a parsed document against a schema. Invalid entries are dropped
+ * from the returned copy; each problem is reported with its path and line.
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema node (e.g. CONFIG_SCHEMA)
+ * @param {Function} [lineOf] - Path -> line lookup from parseJsonWithLines
+ * @returns {{value: *, issues: Array<{level: string, path: string, line: number|null, message: string}>}}
+ *   Cleaned value (undefined if the root itself is invalid) and the problems found
+ */
+export function validateDocument(value, schema, lineOf = () => null) {
+  const issues = [];
+  const report = (level, path, message) => {
+    // Missing fields point at the nearest parent that has a line
+    let p = path;
+    let line = lineOf(p);
+    while (line == null && p) {
+      const parent = p.replace(/(?:\.[^.[\]]+|\[\d+\])$/, '');
+      p = parent === p ? '' : parent;
+      line = lineOf(p);
+    }
+    issues.push({ level, path, line: line ?? null, message });
+  };
+
+  const check = (val, node, path) => {
+    if (node.type === 'any') return val;
+
+    if (node.type === 'object') {
+      if (!isObject(val)) {
+        report('error', path, `must be ${expected(node)}`);
+        return undefined;
+      }
+      const out = {};
+      let dropped = false;
+      for (const [key, child] of Object.entries(node.fields)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (val[key] === undefined) {
+          if (child.required) {
+            report('error', childPath, 'is required');
+            dropped = true;
+          }
+          continue;
+        }
+        const checked = check(val[key], child, childPath);
+        if (checked === undefined && child.required) dropped = true;
+        if (checked !== undefined) out[key] = checked;
+      }
+      for (const key of Object.keys(val)) {
+        if (!node.fields[key]) {
+          const known = Object.keys(node.fields).join(', ');
+          report('warning', path ? `${path}.${key}` : key, `is not a known field and is ignored (expected ${known})`);
+        }
+      }
+      if (dropped) return undefined;
+      if (node.refine) node.refine(out, path, report);
+      return out;
+    }
+
+    if (node.type === 'map') {
+      if (!isObject(val)) {
+        report('error', path, `must be ${expected(node)}`);
+        return undefined;
+      }
+      const out = {};
+      for (const [key, item] of Object.entries(val)) {
+        const checked = check(item, node.values, `${path}.${key}`);
+        if (checked !== undefined) out[key] = checked;
+      }
+      return out;
+    }
+
+    if (node.type === 'array') {
+      if (!Array.isArray(val)) {
+        report('error', path, `must be ${expected(node)}`);
+        return undefined;
+      }
+      const seen = new Map();
+      const out = [];
+      val.forEach((item, i) => {
+        const itemPath = `${path}[${i}]`;
+        const checked = check(item, node.items, itemPath);
+        if (checked === undefined) {
+          report('error', itemPath, 'is skipped because of the problems above');
+          return;
+        }
+        if (node.uniqueBy) {
+          const key = checked[node.uniqueBy];
+          if (seen.has(key)) {
+            report('error', `${itemPath}.${node.uniqueBy}`, `duplicates "${key}" from ${path}[${seen.get(key)}]; this entry is skipped`);
+            return;
+          }
+          seen.set(key, i);
+        }
+        out.push(checked);
+      });
+      return out;
+    }
+
+    if (!scalarOk(val, node)) {
+      report('error', path, `must be ${expected(node)}, got ${JSON.stringify(val)}`);
+      return undefined;
+    }
+    return typeof val === 'string' && node.type !== 'string' ? val.trim() : val;
+  };
+
+  return { value: check(value, schema, ''), issues };
+}
+
+/**
+ * Format a validation issue for display
+ * @param {Object} issue - Issue from validateDocument
+ * @returns {string} e.g. "line 12: rpc.mainnet[1].url must be an http(s) URL"
+ */
+export function formatIssue(issue) {
+  const where = issue.line != null ? `line ${issue.line}: ` : '';
+  return `${where}${issue.path ? `${issue.path} ` : ''}${issue.message}`;
+}
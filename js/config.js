@@ -6,6 +6,8 @@
  * The fallback DEFAULT_RPC_ENDPOINTS only provides empty arrays to avoid runtime crashes.
  */
 
+import { CONFIG_SCHEMA, parseJsonWithLines, validateDocument, formatIssue } from './config-schema.js';
+
 // Minimal fallback to avoid runtime crashes if config.json is missing or invalid
 // This does not contain real endpoints - all real endpoints should be in config.json
 export const DEFAULT_RPC_ENDPOINTS = {
@@ -14,9 +16,71 @@ export const DEFAULT_RPC_ENDPOINTS = {
   testnet: []
 };
 
+// Built-in clusters. config.json can override these fields and add its own
+// clusters (e.g. localnet); a cluster without a genesisHash only requires its
+// endpoints to agree with each other.
+export const DEFAULT_CLUSTERS = {
+  devnet: {
+    label: 'Devnet (Testing)',
+    url: 'https://api.devnet.solana.com',
+    genesisHash: 'EtWTRABZaYq6iMfeYKouRu166VU2xqa1wcaWoxPkrZBG'
+  },
+  mainnet: {
+    label: 'Mainnet-beta (Public)',
+    url: 'https://api.mainnet-beta.solana.com',
+    genesisHash: '5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dw2N9d'
+  },
+  testnet: {
+    label: 'Testnet',
+    url: 'https://api.testnet.solana.com',
+    genesisHash: '4uhcVJyU9pJkvQyS88uRDiswHXSCkY3zQawwpjk2NsNY'
+  }
+};
+
+/**
+ * Merge cluster definitions from config.json over the built-in ones.
+ * Every RPC bucket gets a cluster, labelled with its name if it is not defined.
+ * @param {Object} [configClusters] - "clusters" property of config.json
+ * @param {Object} rpc - Validated "rpc" property
+ * @returns {Object} Cluster name -> { label, url, genesisHash }
+ */
+function resolveClusters(configClusters, rpc) {
+  const clusters = {};
+  for (const [name, def] of Object.entries(DEFAULT_CLUSTERS)) {
+    clusters[name] = { ...def };
+  }
+
+  const custom = configClusters && typeof configClusters === 'object' ? configClusters : {};
+  for (const [name, def] of Object.entries(custom)) {
+    if (!def || typeof def !== 'object') {
+      console.warn(`⚠️ config.json cluster "${name}" is not an object, ignoring it`);
+      continue;
+    }
+    const base = clusters[name] || { label: name, url: '', genesisHash: null };
+    clusters[name] = {
+      label: typeof def.label === 'string' && def.label ? def.label : base.label,
+      url: typeof def.url === 'string' && def.url ? def.url : base.url,
+      genesisHash: typeof def.genesisHash === 'string' && def.genesisHash ? def.genesisHash : base.genesisHash
+    };
+  }
+
+  for (const [name, endpoints] of Object.entries(rpc)) {
+    if (!clusters[name]) {
+      clusters[name] = { label: name, url: endpoints[0]?.url || '', genesisHash: null };
+    }
+  }
+
+  // Clusters without any endpoints still get an (empty) RPC bucket
+  for (const name of Object.keys(clusters)) {
+    if (!rpc[name]) rpc[name] = [];
+  }
+
+  return clusters;
+}
+
 /**
  * Load config.json from the repository root
- * @returns {Promise<Object>} Configuration object with RPC endpoints
+ * @returns {Promise<Object>} Configuration object with RPC endpoints and cluster definitions
  * 
  * Returns config.json as the single source of truth for RPC endpoints.
  * If config.json is missing or invalid, returns minimal fallback with empty arrays.
@@ -31,37 +95,71 @@ export async function loadConfig() {
       console.warn('⚠️ config.json not found or not accessible (HTTP', response.status, ')');
       console.warn('⚠️ Using minimal fallback with empty endpoint arrays');
       console.warn('⚠️ Please ensure config.json exists in the repository root with proper RPC configuration');
-      return { rpc: DEFAULT_RPC_ENDPOINTS };
+      return fallbackConfig();
     }
     
-    const config = await response.json();
+    let parsed;
+    try {
+      parsed = parseJsonWithLines(await response.text());
+    } catch (error) {
+      console.warn('⚠️ config.json is not valid JSON:', error.message);
+      console.warn('⚠️ Using minimal fallback with empty endpoint arrays');
+      return fallbackConfig([{ level: 'error', path: '', line: error.line ?? null, message: error.message }]);
+    }
+
+    const { valid, rpc, clusters, defaults, problems } = validateRpcConfig(parsed.value, { lineOf: parsed.lineOf });
+    problems.forEach(p => console.warn(`⚠️ config.json ${formatIssue(p)}`));
     
     // Validate that config has rpc property
-    if (!config.rpc) {
-      console.warn('⚠️ config.json missing "rpc" property');
+    if (!valid) {
       console.warn('⚠️ Using minimal fallback with empty endpoint arrays');
       console.warn('⚠️ Expected format: { "rpc": { "mainnet": [...], "devnet": [...], "testnet": [...] } }');
-      return { rpc: DEFAULT_RPC_ENDPOINTS };
+      return fallbackConfig(problems);
     }
     
-    // Validate that each network property is an array (if present)
-    const validatedRpc = {
-      mainnet: Array.isArray(config.rpc.mainnet) ? config.rpc.mainnet : [],
-      devnet: Array.isArray(config.rpc.devnet) ? config.rpc.devnet : [],
-      testnet: Array.isArray(config.rpc.testnet) ? config.rpc.testnet : []
-    };
-    
     console.log('✓ config.json loaded successfully');
-    console.log('  - Mainnet endpoints:', validatedRpc.mainnet.length);
-    console.log('  - Devnet endpoints:', validatedRpc.devnet.length);
-    console.log('  - Testnet endpoints:', validatedRpc.testnet.length);
+    for (const [name, endpoints] of Object.entries(rpc)) {
+      console.log(`  - ${clusters[name].label} endpoints:`, endpoints.length);
+    }
     
-    return { rpc: validatedRpc };
+    return { rpc, clusters, defaults, problems };
     
   } catch (error) {
     console.warn('⚠️ Failed to load config.json:', error.message);
     console.warn('⚠️ Using minimal fallback with empty endpoint arrays');
     console.warn('⚠️ Please ensure config.json exists and contains valid JSON');
-    return { rpc: DEFAULT_RPC_ENDPOINTS };
+    return fallbackConfig();
   }
 }
+
+/**
+ * Validate an RPC configuration against the config.json schema: config.json
+ * itself, or an exported RPC setup being imported. Malformed clusters, endpoint
+ * entries and defaults are dropped and reported.
+ * @param {Object} config - Parsed JSON
+ * @param {Object} [opts]
+ * @param {Function} [opts.lineOf] - Path -> line lookup from parseJsonWithLines
+ * @param {Object} [opts.extraFields] - Additional top-level fields to accept (schema nodes)
+ * @returns {{valid: boolean, rpc: Object, clusters: Object, defaults: Object, problems: Array}}
+ *   valid is false when there is no usable "rpc" object at all; problems are
+ *   issues from validateDocument ({level, path, line, message})
+ */
+export function validateRpcConfig(config, { lineOf, extraFields = {} } = {}) {
+  const schema = { ...CONFIG_SCHEMA, fields: { ...CONFIG_SCHEMA.fields, ...extraFields } };
+  const { value, issues } = validateDocument(config, schema, lineOf);
+  if (!value) {
+    return { valid: false, rpc: {}, clusters: {}, defaults: {}, problems: issues };
+  }
+  const rpc = value.rpc;
+  return { valid: true, rpc, clusters: resolveClusters(value.clusters, rpc), defaults: value.defaults || {}, problems: issues };
+}
+
+/**
+ * Fallback configuration with the built-in clusters and no endpoints
+ * @param {Array} [problems] - Issues that made config.json unusable
+ * @returns {Object} Configuration object
+ */
+function fallbackConfig(problems = []) {
+  const rpc = JSON.parse(JSON.stringify(DEFAULT_RPC_ENDPOINTS));
+  return { rpc, clusters: resolveClusters(null, rpc), defaults: {}, problems };
+}
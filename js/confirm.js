@@ -0,0 +1,75 @@
+/**
+ * confirm.js - Transaction confirmation by polling signature statuses
+ *
+ * connection.confirmTransaction waits on a WebSocket signature subscription,
+ * which cannot carry header or bearer API keys. Polling getSignatureStatuses
+ * over HTTP works with every endpoint auth mode.
+ */
+
+import { log } from './ui.js';
+import { reachesCommitment } from './rpc-config.js';
+
+// Confirmation polling, and how often unconfirmed transactions are broadcast again
+const CONFIRM_POLL_MS = 1000;
+const REBROADCAST_INTERVAL_MS = 2000;
+
+// Consecutive failed status queries before the outcome is given up as unknown
+const MAX_STATUS_ERRORS = 10;
+
+/**
+ * Poll a transaction's status until it reaches a commitment level, fails or expires
+ * @param {Connection} connection - RPC connection
+ * @param {string} signature - Transaction signature
+ * @param {Object} opts
+ * @param {number} opts.lastValidBlockHeight - Last block height its blockhash is valid for
+ * @param {string} [opts.commitment='confirmed'] - Level at which it counts as landed
+ * @param {Uint8Array} [opts.raw] - Signed bytes to broadcast again every few seconds until it is confirmed
+ * @returns {Promise<{outcome: string, err: *}>} outcome is 'landed', 'failed' if it landed
+ *   with an error, 'expired' once its blockhash has expired without it landing, or
+ *   'unknown' if the RPC could not be queried (never safe to resend)
+ */
+export async function pollConfirmation(connection, signature, { lastValidBlockHeight, commitment = 'confirmed', raw = null }) {
+  let lastSent = Date.now();
+  let rpcErrors = 0;
+
+  while (true) {
+    await new Promise(resolve => setTimeout(resolve, CONFIRM_POLL_MS));
+    try {
+      // Block height first: past lastValidBlockHeight with no status, the transaction can no longer land
+      const height = await connection.getBlockHeight('confirmed');
+      const { value } = await connection.getSignatureStatuses([signature]);
+      const status = value?.[0];
+      rpcErrors = 0;
+
+      if (status?.err) return { outcome: 'failed', err: status.err };
+      if (reachesCommitment(status?.confirmationStatus, commitment)) return { outcome: 'landed', err: null };
+      if (status?.confirmationStatus === 'confirmed') continue;
+      if (!status && height > lastValidBlockHeight) return { outcome: 'expired', err: null };
+
+      if (raw && Date.now() - lastSent >= REBROADCAST_INTERVAL_MS) {
+        lastSent = Date.now();
+        connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+      }
+    } catch (e) {
+      rpcErrors++;
+      if (rpcErrors >= MAX_STATUS_ERRORS) {
+        log(`Could not query signature status: ${e?.message || String(e)}`, 'error');
+        return { outcome: 'unknown', err: null };
+      }
+    }
+  }
+}
+
+/**
+ * Wait for a setup transaction (e.g. an ATA or lookup table) to land without an error
+ * @param {Connection} connection - RPC connection
+ * @param {string} signature - Transaction signature
+ * @param {Object} opts - See pollConfirmation
+ * @throws {Error} If it failed, expired or could not be confirmed
+ */
+export async function confirmSignature(connection, signature, opts) {
+  const { outcome, err } = await pollConfirmation(connection, signature, opts);
+  if (outcome === 'failed') throw new Error(`Transaction ${signature} failed: ${JSON.stringify(err)}`);
+  if (outcome === 'expired') throw new Error(`Transaction ${signature} expired before it landed.`);
+  if (outcome === 'unknown') throw new Error(`Could not confirm transaction ${signature}.`);
+}
@@ -0,0 +1,10 @@
+/**
+ * constants.js - Limits shared by the UI and config validation
+ */
+
+// Largest batch size each transaction format can fit
+export const MAX_BATCH_SIZE = { legacy: 12, v0: 25 };
+
+// Range of the consensus threshold (endpoints that must verify a transaction)
+export const MIN_CONSENSUS_THRESHOLD = 1;
+export const MAX_CONSENSUS_THRESHOLD = 10;
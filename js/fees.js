@@ -0,0 +1,121 @@
+/**
+ * fees.js - Priority fees and compute-unit budgeting
+ */
+
+import { ComputeBudgetProgram } from 'https://esm.sh/@solana/web3.js@1.95.3';
+
+// Runtime maximum compute units per transaction
+export const MAX_COMPUTE_UNITS = 1_400_000;
+
+// Headroom added on top of simulated compute usage
+const COMPUTE_UNIT_MARGIN = 1.1;
+const COMPUTE_UNIT_PADDING = 1_000;
+
+// Auto mode pays this percentile of recent prioritization fees
+const AUTO_FEE_PERCENTILE = 0.75;
+
+// Default cap for auto mode, in micro-lamports per compute unit
+export const DEFAULT_AUTO_FEE_CAP = 10_000;
+
+// Rough compute costs per instruction, used for estimates when no simulation is available
+export const COMPUTE_UNIT_ESTIMATES = {
+  base: 1_000,
+  solTransfer: 150,
+  tokenTransfer: 6_500,
+  token2022Transfer: 12_000,
+  ataCreate: 30_000,
+  memo: 12_000
+};
+
+// Compute units an automatically packed batch may be estimated to use, leaving headroom below the runtime maximum
+export const AUTO_BATCH_COMPUTE_BUDGET = 1_200_000;
+
+/**
+ * Normalize priority fee settings from the UI
+ * @param {Object} settings
+ * @param {string} settings.mode - 'off', 'fixed' or 'auto'
+ * @param {number|string} settings.microLamports - Fixed price, or the cap in auto mode
+ *   (blank uses DEFAULT_AUTO_FEE_CAP; an explicit 0 is kept)
+ * @returns {{mode: string, microLamports: number}} Normalized settings
+ */
+export function normalizePriorityFeeSettings({ mode, microLamports } = {}) {
+  const parsed = microLamports === '' || microLamports == null ? NaN : Number(microLamports);
+  const value = Number.isFinite(parsed) ? Math.max(0, Math.floor(parsed)) : null;
+  if (mode === 'fixed') return { mode, microLamports: value ?? 0 };
+  if (mode === 'auto') return { mode, microLamports: value ?? DEFAULT_AUTO_FEE_CAP };
+  return { mode: 'off', microLamports: 0 };
+}
+
+/**
+ * Resolve the compute-unit price to pay
+ * @param {Connection} connection - RPC connection
+ * @param {Object} settings - Normalized priority fee settings
+ * @param {PublicKey[]} writableAccounts - Accounts the transaction writes to
+ * @returns {Promise<number>} Price in micro-lamports per compute unit
+ */
+export async function resolvePriorityFee(connection, settings, writableAccounts = []) {
+  if (settings.mode === 'fixed') return settings.microLamports;
+  if (settings.mode !== 'auto') return 0;
+
+  const recent = await connection.getRecentPrioritizationFees({
+    lockedWritableAccounts: writableAccounts.slice(0, 128)
+  });
+  const fees = (recent || []).map(f => f.prioritizationFee).sort((a, b) => a - b);
+  if (fees.length === 0) return 0;
+
+  const idx = Math.min(fees.length - 1, Math.floor(fees.length * AUTO_FEE_PERCENTILE));
+  return Math.min(fees[idx], settings.microLamports);
+}
+
+/**
+ * Size a compute-unit limit from simulated usage
+ * @param {number} unitsConsumed - Units consumed in simulation
+ * @returns {number} Compute-unit limit
+ */
+export function computeUnitLimitFromSimulation(unitsConsumed) {
+  return Math.min(MAX_COMPUTE_UNITS, Math.ceil(unitsConsumed * COMPUTE_UNIT_MARGIN) + COMPUTE_UNIT_PADDING);
+}
+
+/**
+ * Estimate compute units for a batch without simulating it
+ * @param {Object} counts
+ * @param {number} counts.transfers - Transfer instructions
+ * @param {number} counts.ataCreations - ATA creation instructions
+ * @param {number} [counts.memos=0] - Memo instructions
+ * @param {string} counts.assetMode - 'spl' or 'sol'
+ * @param {boolean} counts.token2022 - Whether the mint is a Token-2022 mint
+ * @returns {number} Estimated compute units
+ */
+export function estimateComputeUnits({ transfers, ataCreations = 0, memos = 0, assetMode = 'spl', token2022 = false }) {
+  const perTransfer = assetMode === 'sol'
+    ? COMPUTE_UNIT_ESTIMATES.solTransfer
+    : token2022 ? COMPUTE_UNIT_ESTIMATES.token2022Transfer : COMPUTE_UNIT_ESTIMATES.tokenTransfer;
+  const units = COMPUTE_UNIT_ESTIMATES.base + transfers * perTransfer
+    + ataCreations * COMPUTE_UNIT_ESTIMATES.ataCreate + memos * COMPUTE_UNIT_ESTIMATES.memo;
+  return Math.min(MAX_COMPUTE_UNITS, Math.ceil(units * COMPUTE_UNIT_MARGIN));
+}
+
+/**
+ * Build ComputeBudget instructions for a transaction
+ * @param {number} unitLimit - Compute-unit limit
+ * @param {number} microLamports - Price per compute unit (0 to omit)
+ * @returns {TransactionInstruction[]} Instructions to prepend
+ */
+export function computeBudgetInstructions(unitLimit, microLamports) {
+  const ixs = [ComputeBudgetProgram.setComputeUnitLimit({ units: unitLimit })];
+  if (microLamports > 0) {
+    ixs.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+  }
+  return ixs;
+}
+
+/**
+ * Priority fee charged for a transaction
+ * @param {number} microLamports - Price per compute unit
+ * @param {number} unitLimit - Compute-unit limit (the fee is charged on the limit, not usage)
+ * @returns {bigint} Fee in lamports
+ */
+export function priorityFeeLamports(microLamports, unitLimit) {
+  const micro = BigInt(microLamports) * BigInt(unitLimit);
+  return (micro + 999_999n) / 1_000_000n;
+}
@@ -0,0 +1,242 @@
+/**
+ * lookup-tables.js - Temporary Address Lookup Tables for v0 batch transactions
+ *
+ * A campaign sent as v0 transactions first puts the accounts its batches touch
+ * into one or more lookup tables, so each transaction references them by a
+ * one-byte index instead of a 32-byte key. The tables belong to the sender
+ * wallet and are deactivated and closed (refunding their rent) once the
+ * campaign finishes.
+ */
+
+import { AddressLookupTableProgram, Transaction } from 'https://esm.sh/@solana/web3.js@1.95.3';
+import { log } from './ui.js';
+import { confirmSignature } from './confirm.js';
+
+// A lookup table holds at most 256 addresses
+export const MAX_TABLE_ADDRESSES = 256;
+
+// Addresses added per extend instruction, keeping each setup transaction under the size limit
+export const ADDRESSES_PER_EXTEND = 28;
+
+// Size of a lookup table account: 56-byte header plus 32 bytes per address
+const TABLE_HEADER_SIZE = 56;
+
+// Slots after deactivation before a table can be closed (the SlotHashes window)
+const DEACTIVATION_COOLDOWN_SLOTS = 513;
+
+// Tables deactivated or closed per cleanup transaction
+const TABLES_PER_CLEANUP_TX = 10;
+
+/**
+ * Number of transactions needed to deactivate and then close a number of tables
+ * @param {number} tableCount - Tables to clean up
+ * @returns {number} Transaction count
+ */
+export function cleanupTransactionCount(tableCount) {
+  return 2 * Math.ceil(tableCount / TABLES_PER_CLEANUP_TX);
+}
+
+/**
+ * Split addresses into groups that each fit in one lookup table
+ * @param {PublicKey[]} addresses - Unique addresses to look up
+ * @returns {{tables: PublicKey[][], setupTransactions: number}} Address groups and the
+ *   number of create/extend transactions needed to set them up
+ */
+export function planLookupTables(addresses) {
+  const tables = [];
+  for (let i = 0; i < addresses.length; i += MAX_TABLE_ADDRESSES) {
+    tables.push(addresses.slice(i, i + MAX_TABLE_ADDRESSES));
+  }
+  const setupTransactions = tables.reduce((n, t) => n + Math.ceil(t.length / ADDRESSES_PER_EXTEND), 0);
+  return { tables, setupTransactions };
+}
+
+/**
+ * Account size of a lookup table holding a number of addresses
+ * @param {number} addressCount - Addresses in the table
+ * @returns {number} Size in bytes
+ */
+export function lookupTableSize(addressCount) {
+  return TABLE_HEADER_SIZE + 32 * addressCount;
+}
+
+/**
+ * Sign setup transactions, with one prompt when the wallet supports it
+ */
+async function signSetupTransactions(provider, txs) {
+  if (txs.length > 1 && typeof provider.signAllTransactions === 'function') {
+    return provider.signAllTransactions(txs);
+  }
+  const signed = [];
+  for (const tx of txs) signed.push(await provider.signTransaction(tx));
+  return signed;
+}
+
+/**
+ * Wait until the cluster has moved past a slot
+ */
+async function waitForSlotAfter(connection, slot) {
+  while ((await connection.getSlot('confirmed')) <= slot) {
+    await new Promise(resolve => setTimeout(resolve, 400));
+  }
+}
+
+/**
+ * Get a finalized slot newer than the one used for the previous table,
+ * since a table's address is derived from its authority and recent slot
+ */
+async function nextRecentSlot(connection, previousSlot) {
+  let slot = await connection.getSlot('finalized');
+  while (previousSlot != null && slot <= previousSlot) {
+    await new Promise(resolve => setTimeout(resolve, 400));
+    slot = await connection.getSlot('finalized');
+  }
+  return slot;
+}
+
+/**
+ * Create and fill one lookup table
+ * @param {Function} onCreated - Called with the table address once the create transaction lands
+ * @returns {Promise<{address: PublicKey, recentSlot: number}>} Table address and the slot it was derived from
+ */
+async function createLookupTable(connection, provider, wallet, addresses, previousSlot, onCreated) {
+  const recentSlot = await nextRecentSlot(connection, previousSlot);
+  const [createIx, tableAddress] = AddressLookupTableProgram.createLookupTable({
+    authority: wallet,
+    payer: wallet,
+    recentSlot
+  });
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  const txs = [];
+  for (let i = 0; i < addresses.length; i += ADDRESSES_PER_EXTEND) {
+    const tx = new Transaction();
+    tx.recentBlockhash = blockhash;
+    tx.feePayer = wallet;
+    if (i === 0) tx.add(createIx);
+    tx.add(AddressLookupTableProgram.extendLookupTable({
+      lookupTable: tableAddress,
+      authority: wallet,
+      payer: wallet,
+      addresses: addresses.slice(i, i + ADDRESSES_PER_EXTEND)
+    }));
+    txs.push(tx);
+  }
+
+  log(`Creating lookup table ${tableAddress.toString()} with ${addresses.length} addresses (${txs.length} transaction(s))...`, 'info');
+  const signed = await signSetupTransactions(provider, txs);
+
+  // Creation must land before the extensions, so send and confirm in order
+  for (const [i, tx] of signed.entries()) {
+    const raw = tx.serialize();
+    const sig = await connection.sendRawTransaction(raw, { skipPreflight: false });
+    await confirmSignature(connection, sig, { lastValidBlockHeight, raw });
+    // The table's rent is paid from here on, even if a later extension fails
+    if (i === 0) await onCreated(tableAddress);
+  }
+
+  return { address: tableAddress, recentSlot };
+}
+
+/**
+ * Fetch a lookup table, or null if it no longer exists or is deactivated
+ * @param {Connection} connection - RPC connection
+ * @param {PublicKey} address - Table address
+ * @returns {Promise<AddressLookupTableAccount|null>} Active table
+ */
+export async function fetchActiveLookupTable(connection, address) {
+  const { value } = await connection.getAddressLookupTable(address, { commitment: 'confirmed' });
+  return value && value.isActive() ? value : null;
+}
+
+/**
+ * Create lookup tables for a campaign and wait until they can be used
+ * @param {Connection} connection - RPC connection
+ * @param {Object} provider - Wallet provider
+ * @param {PublicKey} wallet - Sender wallet (table authority and payer)
+ * @param {PublicKey[]} addresses - Unique addresses to look up
+ * @param {Function} [onCreated] - Called with each table's address as soon as it exists,
+ *   so it can be recorded (and closed later) even if a later step fails
+ * @returns {Promise<AddressLookupTableAccount[]>} Active tables
+ */
+export async function createCampaignLookupTables(connection, provider, wallet, addresses, onCreated = async () => {}) {
+  const { tables } = planLookupTables(addresses);
+  const created = [];
+  let previousSlot = null;
+  for (const group of tables) {
+    const { address, recentSlot } = await createLookupTable(connection, provider, wallet, group, previousSlot, onCreated);
+    previousSlot = recentSlot;
+    created.push(address);
+  }
+
+  // Addresses added in a slot can only be looked up from the next slot on
+  const accounts = [];
+  for (const address of created) {
+    let table = await fetchActiveLookupTable(connection, address);
+    for (let tries = 0; !table && tries < 30; tries++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      table = await fetchActiveLookupTable(connection, address);
+    }
+    if (!table) throw new Error(`Lookup table ${address.toString()} not found after creation.`);
+    await waitForSlotAfter(connection, Number(table.state.lastExtendedSlot));
+    accounts.push(table);
+  }
+  log(`✓ ${accounts.length} lookup table(s) ready.`, 'success');
+  return accounts;
+}
+
+/**
+ * Deactivate and close lookup tables, refunding their rent to the wallet.
+ * Closing has to wait out the deactivation cooldown (about 3–4 minutes).
+ * @param {Connection} connection - RPC connection
+ * @param {Object} provider - Wallet provider
+ * @param {PublicKey} wallet - Table authority
+ * @param {PublicKey[]} addresses - Tables to close
+ * @param {Function} [shouldStop] - Returns true to stop waiting and leave the tables deactivated
+ * @returns {Promise<boolean>} True if every table was closed
+ */
+export async function closeLookupTables(connection, provider, wallet, addresses, shouldStop = () => false) {
+  if (addresses.length === 0) return true;
+
+  // One transaction per group of tables, all signed with one prompt when possible
+  const sendForAllTables = async (ixFor) => {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    const txs = [];
+    for (let i = 0; i < addresses.length; i += TABLES_PER_CLEANUP_TX) {
+      const tx = new Transaction();
+      tx.recentBlockhash = blockhash;
+      tx.feePayer = wallet;
+      tx.add(...addresses.slice(i, i + TABLES_PER_CLEANUP_TX).map(ixFor));
+      txs.push(tx);
+    }
+    const sigs = [];
+    for (const tx of await signSetupTransactions(provider, txs)) {
+      const raw = tx.serialize();
+      const sig = await connection.sendRawTransaction(raw, { skipPreflight: false });
+      await confirmSignature(connection, sig, { lastValidBlockHeight, raw });
+      sigs.push(sig);
+    }
+    return sigs;
+  };
+
+  log(`Deactivating ${addresses.length} lookup table(s)...`, 'info');
+  await sendForAllTables(lookupTable =>
+    AddressLookupTableProgram.deactivateLookupTable({ lookupTable, authority: wallet })
+  );
+  const deactivatedAt = await connection.getSlot('confirmed');
+
+  log('Waiting for the lookup table cooldown before closing (about 3–4 minutes). Keep this tab open to get the rent back.', 'info');
+  while ((await connection.getSlot('confirmed')) <= deactivatedAt + DEACTIVATION_COOLDOWN_SLOTS) {
+    if (shouldStop()) {
+      log(`Lookup table(s) left deactivated but not closed: ${addresses.map(a => a.toString()).join(', ')}`, 'warning');
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, 5000));
+  }
+
+  const sigs = await sendForAllTables(lookupTable =>
+    AddressLookupTableProgram.closeLookupTable({ lookupTable, authority: wallet, recipient: wallet })
+  );
+  log(`✓ Closed ${addresses.length} lookup table(s) and reclaimed their rent: ${sigs.join(', ')}`, 'success');
+  return true;
+}
@@ -17,12 +17,27 @@ import {
   resetEndpointsToDefaults, 
   updateConsensusThreshold,
   updateCurrentCluster,
+  getCurrentCluster,
+  getClusterDefinition,
+  clusters,
+  isKeyVaultLocked,
+  enableKeyVault,
+  unlockKeyVault,
+  disableKeyVault,
   userRpcEndpoints,
   primaryEndpointByCluster,
-  minConsensusThreshold
+  minConsensusThreshold,
+  campaignDefaults
 } from './rpc-config.js';
 
-import { connectWallet } from './wallet.js';
+import {
+  connectWallet,
+  connectStandardWallet,
+  disconnectWallet,
+  reconnectLastWallet,
+  hideWalletPicker,
+  getWallet
+} from './wallet.js';
 
 import { 
   elements, 
@@ -32,10 +47,67 @@ import {
   resetSendBtn,
   applyRecipientsNormalization,
   setupDetailListToggles,
+  applyAssetMode,
+  applyPriorityFeeMode,
+  applyTxVersion,
+  applyBatchMode,
+  isNativeSolMode,
   log
 } from './ui.js';
 
-import { initializeConnection, sendTransactions, requestAbort, resetAbort } from './transactions.js';
+import {
+  initializeConnection,
+  sendTransactions,
+  requestAbort,
+  resetAbort,
+  fetchAssetDecimals,
+  primaryEndpoint,
+  MAX_IN_FLIGHT
+} from './transactions.js';
+
+import { checkEndpointsHealth, verifyEndpointsGenesis, renderHealthPanel, getEndpointHealth } from './rpc-health.js';
+
+import {
+  handleImportFile,
+  updateImportMapping,
+  applyImport,
+  cancelImport,
+  validateRecipients,
+  renderValidationReport,
+  MAX_MEMO_BYTES
+} from './recipients.js';
+
+import { resolvePreflightDecision } from './preflight.js';
+
+import { exportReceiptsCsv, exportReceiptsJson } from './receipts.js';
+
+import { reconcileCampaign, renderReconcileReport } from './reconcile.js';
+
+import { exportRpcConfig, previewRpcImport, applyRpcImport, cancelRpcImport } from './rpc-backup.js';
+
+import { MAX_BATCH_SIZE } from './constants.js';
+
+import {
+  getCampaign,
+  deleteCampaign,
+  campaignLabel,
+  campaignRecipientsText,
+  refreshResumeOffers
+} from './campaigns.js';
+
+/**
+ * Prefill the campaign form with the defaults from config.json
+ */
+function applyCampaignDefaults() {
+  const { txVersion, batchMode, batchSize, priorityFee } = campaignDefaults;
+  if (txVersion) elements.txVersionSelect.value = txVersion;
+  if (batchMode) elements.batchModeSelect.value = batchMode;
+  if (batchSize) elements.batchSizeInput.value = batchSize;
+  if (priorityFee?.mode) elements.priorityFeeModeSelect.value = priorityFee.mode;
+  if (priorityFee?.microLamports != null) elements.priorityFeeInput.value = priorityFee.microLamports;
+  applyTxVersion();
+  applyPriorityFeeMode();
+}
 
 /**
  * Initialize the application
@@ -43,6 +115,7 @@ import { initializeConnection, sendTransactions, requestAbort, resetAbort } from
 async function init() {
   // Load RPC configuration
   await initRpcConfig();
+  applyCampaignDefaults();
   
   // Initialize connection with primary endpoint
   initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
@@ -60,6 +133,217 @@ async function init() {
   resetProgress();
   
   log('Welcome! Connect your wallet to begin.', 'info');
+  if (isKeyVaultLocked()) {
+    log('🔒 RPC API keys are encrypted. Unlock the key vault in the RPC section before sending.', 'warning');
+  }
+  
+  // Offer to resume campaigns interrupted by a reload, closed tab or crash
+  await refreshResumeOffers();
+
+  // Reconnect the last used wallet if it is still authorized
+  if (await reconnectLastWallet()) {
+    initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
+  }
+}
+
+/**
+ * Run a multisend from the current form values
+ * @param {Object} [options]
+ * @param {string} [options.resumeCampaignId] - Saved campaign to resume
+ */
+async function startSend({ resumeCampaignId } = {}) {
+  if (isKeyVaultLocked()) {
+    log('Unlock the key vault in the RPC section first: endpoints would be queried without their API keys.', 'error');
+    return;
+  }
+
+  elements.sendBtn.disabled = true;
+  elements.sendBtn.textContent = 'Processing...';
+  
+  // Show stop button and reset its state
+  elements.stopBtn.style.display = 'block';
+  elements.stopBtn.disabled = false;
+  elements.stopBtn.textContent = 'Stop';
+  
+  // Reset abort flag and any report left over from a previous run
+  resetAbort();
+  resolvePreflightDecision(false);
+  
+  resetProgress();
+  log(resumeCampaignId ? 'Resuming multisend with retries...' : 'Starting multisend with retries...', 'info');
+  
+  const assetMode = isNativeSolMode() ? 'sol' : 'spl';
+  const mintStr = elements.mintInput.value.trim();
+  
+  // Safety normalization before parsing recipients
+  applyRecipientsNormalization();
+  const listStr = elements.recipientsInput.value.trim();
+  
+  const batchMode = elements.batchModeSelect.value;
+  const batchSize = parseInt(elements.batchSizeInput.value, 10);
+  const txVersion = elements.txVersionSelect.value;
+  const duplicatePolicy = elements.duplicatePolicySelect.value;
+  const grossUpTransferFees = elements.grossUpFeesCheckbox.checked;
+  const campaignMemo = elements.campaignMemoInput.value.trim();
+  const maxBatchSize = MAX_BATCH_SIZE[txVersion];
+  const signWindow = parseInt(elements.signWindowInput.value, 10);
+  const concurrency = parseInt(elements.concurrencyInput.value, 10);
+  const priorityFee = {
+    mode: elements.priorityFeeModeSelect.value,
+    microLamports: Number(elements.priorityFeeInput.value)
+  };
+  
+  if (assetMode === 'spl' && !mintStr) {
+    log('Mint address required.', 'error');
+    resetSendBtn();
+    elements.stopBtn.style.display = 'none';
+    return;
+  }
+  if (!listStr) {
+    log('Recipients list empty.', 'error');
+    resetSendBtn();
+    elements.stopBtn.style.display = 'none';
+    return;
+  }
+  if (batchMode === 'fixed' && (isNaN(batchSize) || batchSize <= 0 || batchSize > maxBatchSize)) {
+    log(`Batch size 1–${maxBatchSize} required${txVersion === 'legacy' ? ' (choose v0 for larger batches)' : ''}.`, 'error');
+    resetSendBtn();
+    elements.stopBtn.style.display = 'none';
+    return;
+  }
+  if (isNaN(signWindow) || signWindow <= 0 || signWindow > 50) {
+    log('Batches per wallet prompt must be 1–50.', 'error');
+    resetSendBtn();
+    elements.stopBtn.style.display = 'none';
+    return;
+  }
+  if (isNaN(concurrency) || concurrency <= 0 || concurrency > MAX_IN_FLIGHT) {
+    log(`Batches in flight must be 1–${MAX_IN_FLIGHT}.`, 'error');
+    resetSendBtn();
+    elements.stopBtn.style.display = 'none';
+    return;
+  }
+  if (priorityFee.mode !== 'off' && (!Number.isInteger(priorityFee.microLamports) || priorityFee.microLamports < 0)) {
+    log('Priority fee must be a whole number of µLamports per compute unit.', 'error');
+    resetSendBtn();
+    elements.stopBtn.style.display = 'none';
+    return;
+  }
+  if (new TextEncoder().encode(campaignMemo).length > MAX_MEMO_BYTES) {
+    log(`Campaign memo must be at most ${MAX_MEMO_BYTES} bytes.`, 'error');
+    resetSendBtn();
+    elements.stopBtn.style.display = 'none';
+    return;
+  }
+  
+  try {
+    await sendTransactions(mintStr, listStr, batchSize, userRpcEndpoints, primaryEndpointByCluster, {
+      assetMode,
+      batchMode,
+      signWindow,
+      concurrency,
+      priorityFee,
+      txVersion,
+      duplicatePolicy,
+      grossUpTransferFees,
+      campaignMemo,
+      resumeCampaignId
+    });
+  } catch (err) {
+    const msg = err?.message || String(err);
+    if (msg.includes('403') || msg.toLowerCase().includes('forbidden')) {
+      log('RPC returned 403 (forbidden). Use a Custom RPC URL from your provider and try again.', 'error');
+    }
+    log(`Error: ${msg}`, 'error');
+    if (err?.stack) log(err.stack, 'error');
+  } finally {
+    resetSendBtn();
+    elements.stopBtn.style.display = 'none';
+    await refreshResumeOffers();
+  }
+}
+
+/**
+ * Restore a saved campaign's settings into the form and resume sending
+ * @param {string} id - Campaign ID
+ */
+async function resumeCampaign(id) {
+  if (!getWallet()) {
+    log('Connect your wallet to resume a campaign.', 'error');
+    return;
+  }
+  if (elements.sendBtn.disabled) {
+    log('A send is already in progress.', 'error');
+    return;
+  }
+
+  const record = await getCampaign(id);
+  if (!record) {
+    log('Saved campaign not found.', 'error');
+    await refreshResumeOffers();
+    return;
+  }
+
+  // Restore the cluster the campaign ran on
+  if (record.cluster && elements.clusterSelect.value !== record.cluster) {
+    if (!clusters[record.cluster]) {
+      log(`This campaign ran on ${record.cluster}, which is no longer configured.`, 'error');
+      return;
+    }
+    elements.clusterSelect.value = record.cluster;
+    updateCurrentCluster();
+    initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
+  }
+
+  elements.assetModeSelect.value = record.assetMode;
+  applyAssetMode();
+  elements.mintInput.value = record.mint || '';
+  elements.grossUpFeesCheckbox.checked = !!record.grossUpTransferFees;
+  elements.txVersionSelect.value = record.txVersion || 'legacy';
+  applyTxVersion();
+  elements.batchModeSelect.value = record.batchMode || 'fixed';
+  if (record.batchSize) elements.batchSizeInput.value = record.batchSize;
+  applyBatchMode();
+  elements.signWindowInput.value = record.signWindow || 1;
+  elements.concurrencyInput.value = record.concurrency || 1;
+  if (record.priorityFee) {
+    elements.priorityFeeModeSelect.value = record.priorityFee.mode;
+    elements.priorityFeeInput.value = record.priorityFee.microLamports;
+    applyPriorityFeeMode();
+  }
+  elements.duplicatePolicySelect.value = record.duplicatePolicy || 'reject';
+  elements.campaignMemoInput.value = record.memo || '';
+  elements.recipientsInput.value = campaignRecipientsText(record);
+
+  log(`Resuming campaign: ${campaignLabel(record)}`, 'info');
+  await startSend({ resumeCampaignId: id });
+}
+
+/**
+ * Validate the recipients list against the decimals of the selected asset
+ */
+async function validateRecipientsList() {
+  applyRecipientsNormalization();
+  const assetMode = isNativeSolMode() ? 'sol' : 'spl';
+  const mintStr = elements.mintInput.value.trim();
+
+  if (assetMode === 'spl' && !mintStr) {
+    log('Enter the mint address first so amounts can be checked against its decimals.', 'error');
+    return;
+  }
+
+  try {
+    const decimals = await fetchAssetDecimals(mintStr, assetMode);
+    const result = validateRecipients(elements.recipientsInput.value, decimals, elements.duplicatePolicySelect.value);
+    renderValidationReport(result);
+    if (result.errorCount > 0) {
+      log(`Validation: ${result.errorCount} of ${result.rows.length} line(s) have problems.`, 'error');
+    } else {
+      log(`Validation: all ${result.rows.length} line(s) are valid.`, 'success');
+    }
+  } catch (err) {
+    log(`Validation error: ${err?.message || String(err)}`, 'error');
+  }
 }
 
 /**
@@ -72,6 +356,21 @@ function setupEventListeners() {
     // Re-initialize connection after wallet connects
     initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
   });
+
+  // Wallet picker: connect the chosen wallet
+  document.getElementById('wallet-picker-list')?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-wallet-name]');
+    if (!btn) return;
+    if (await connectStandardWallet(btn.dataset.walletName)) {
+      initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
+    }
+  });
+  document.getElementById('wallet-picker-cancel')?.addEventListener('click', hideWalletPicker);
+
+  // Disconnect wallet button
+  elements.disconnectBtn.addEventListener('click', async () => {
+    await disconnectWallet();
+  });
   
   // Clear log button
   elements.clearLogBtn.addEventListener('click', clearLog);
@@ -86,6 +385,18 @@ function setupEventListeners() {
     initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
   });
   
+  // Asset mode change (SPL token vs native SOL)
+  elements.assetModeSelect.addEventListener('change', applyAssetMode);
+
+  // Transaction format change (legacy vs v0 with lookup tables)
+  elements.txVersionSelect.addEventListener('change', applyTxVersion);
+
+  // Batch mode change (fixed count vs automatic packing)
+  elements.batchModeSelect.addEventListener('change', applyBatchMode);
+
+  // Priority fee mode change
+  elements.priorityFeeModeSelect.addEventListener('change', applyPriorityFeeMode);
+  
   // Toggle RPC section visibility
   document.getElementById('toggle-rpc-section')?.addEventListener('click', () => {
     const section = document.getElementById('rpc-verification-section');
@@ -97,6 +408,30 @@ function setupEventListeners() {
     }
   });
   
+  // Benchmark every endpoint of the current cluster
+  document.getElementById('check-rpc-health-btn')?.addEventListener('click', async (e) => {
+    const btn = e.currentTarget;
+    const endpoints = userRpcEndpoints[getCurrentCluster()] || [];
+    btn.disabled = true;
+    btn.textContent = 'Checking...';
+    try {
+      const cluster = getClusterDefinition();
+      await checkEndpointsHealth(endpoints);
+      const { mismatched } = await verifyEndpointsGenesis(endpoints, cluster.genesisHash);
+      renderHealthPanel(endpoints, primaryEndpoint?.id ?? null);
+      const healthy = endpoints.filter(ep => getEndpointHealth(ep.id) === 'healthy').length;
+      log(`RPC health check: ${healthy}/${endpoints.length} endpoint(s) healthy.`, healthy > 0 ? 'info' : 'warning');
+      for (const { endpoint } of mismatched) {
+        log(`⛔ ${endpoint.label} is not a ${cluster.label} endpoint (genesis hash differs). Fix or disable it before sending.`, 'error');
+      }
+    } catch (err) {
+      log(`RPC health check failed: ${err?.message || String(err)}`, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Check Health';
+    }
+  });
+
   // Toggle add endpoint form
   document.getElementById('toggle-add-endpoint')?.addEventListener('click', () => {
     const form = document.getElementById('add-endpoint-form');
@@ -109,6 +444,7 @@ function setupEventListeners() {
     document.getElementById('new-endpoint-label').value = '';
     document.getElementById('new-endpoint-url').value = '';
     document.getElementById('new-endpoint-apikey').value = '';
+    document.getElementById('new-endpoint-auth').value = 'query';
   });
   
   // Add new endpoint
@@ -116,18 +452,20 @@ function setupEventListeners() {
     const label = document.getElementById('new-endpoint-label').value.trim();
     const url = document.getElementById('new-endpoint-url').value.trim();
     const apiKey = document.getElementById('new-endpoint-apikey').value.trim();
+    const authMode = document.getElementById('new-endpoint-auth').value;
     
     if (!label || !url) {
       alert('Please provide both a label and URL for the endpoint.');
       return;
     }
     
-    addCustomEndpoint(label, url, apiKey);
+    addCustomEndpoint(label, url, apiKey, authMode);
     
     // Clear form
     document.getElementById('new-endpoint-label').value = '';
     document.getElementById('new-endpoint-url').value = '';
     document.getElementById('new-endpoint-apikey').value = '';
+    document.getElementById('new-endpoint-auth').value = 'query';
     document.getElementById('add-endpoint-form').style.display = 'none';
     
     // Re-initialize connection if needed
@@ -168,74 +506,134 @@ function setupEventListeners() {
     elements.trimRecipientsBtn.addEventListener('click', applyRecipientsNormalization);
   }
   
-  // Send button
-  elements.sendBtn.addEventListener('click', async () => {
-    elements.sendBtn.disabled = true;
-    elements.sendBtn.textContent = 'Processing...';
-    
-    // Show stop button and reset its state
-    elements.stopBtn.style.display = 'block';
-    elements.stopBtn.disabled = false;
-    elements.stopBtn.textContent = 'Stop';
-    
-    // Reset abort flag
-    resetAbort();
-    
-    resetProgress();
-    log('Starting multisend with retries...', 'info');
-    
-    const mintStr = elements.mintInput.value.trim();
-    
-    // Safety normalization before parsing recipients
-    applyRecipientsNormalization();
-    const listStr = elements.recipientsInput.value.trim();
-    
-    const batchSize = parseInt(elements.batchSizeInput.value, 10);
-    
-    if (!mintStr) {
-      log('Mint address required.', 'error');
-      resetSendBtn();
-      elements.stopBtn.style.display = 'none';
-      return;
-    }
-    if (!listStr) {
-      log('Recipients list empty.', 'error');
-      resetSendBtn();
-      elements.stopBtn.style.display = 'none';
-      return;
-    }
-    if (isNaN(batchSize) || batchSize <= 0 || batchSize > 12) {
-      log('Batch size 1–12 required.', 'error');
-      resetSendBtn();
-      elements.stopBtn.style.display = 'none';
-      return;
-    }
-    
-    try {
-      await sendTransactions(mintStr, listStr, batchSize, userRpcEndpoints, primaryEndpointByCluster);
-    } catch (err) {
-      const msg = err?.message || String(err);
-      if (msg.includes('403') || msg.toLowerCase().includes('forbidden')) {
-        log('RPC returned 403 (forbidden). Use a Custom RPC URL from your provider and try again.', 'error');
-      }
-      log(`Error: ${msg}`, 'error');
-      if (err?.stack) log(err.stack, 'error');
-    } finally {
-      resetSendBtn();
-      elements.stopBtn.style.display = 'none';
+  // Validate recipients button and report filter
+  elements.validateRecipientsBtn?.addEventListener('click', validateRecipientsList);
+  document.getElementById('validation-only-problems')?.addEventListener('change', () => renderValidationReport());
+  
+  // CSV/TSV file import - drag & drop or file picker
+  elements.importDropZone?.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    elements.importDropZone.classList.add('border-indigo-400');
+  });
+  elements.importDropZone?.addEventListener('dragleave', () => {
+    elements.importDropZone.classList.remove('border-indigo-400');
+  });
+  elements.importDropZone?.addEventListener('drop', (e) => {
+    e.preventDefault();
+    elements.importDropZone.classList.remove('border-indigo-400');
+    handleImportFile(e.dataTransfer?.files?.[0]);
+  });
+  elements.importFileInput?.addEventListener('change', (e) => handleImportFile(e.target.files?.[0]));
+  
+  // Column mapping for imported files
+  ['import-has-header', 'import-address-col', 'import-amount-col', 'import-memo-col'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', updateImportMapping);
+  });
+  document.getElementById('import-cancel-btn')?.addEventListener('click', cancelImport);
+  document.getElementById('import-apply-btn')?.addEventListener('click', async () => {
+    if (applyImport() && !elements.validateRecipientsBtn.disabled) {
+      await validateRecipientsList();
     }
   });
   
+  // Send button
+  elements.sendBtn.addEventListener('click', () => startSend());
+  
   // Stop button
   if (elements.stopBtn) {
     elements.stopBtn.addEventListener('click', () => {
       log('Stop requested by user...', 'warning');
       requestAbort();
+      resolvePreflightDecision(false);
       elements.stopBtn.disabled = true;
       elements.stopBtn.textContent = 'Stopping...';
     });
   }
   
+  // Resume or discard saved campaigns
+  document.getElementById('resume-campaigns')?.addEventListener('click', async (e) => {
+    const action = e.target.getAttribute('data-action');
+    const id = e.target.getAttribute('data-id');
+    if (!action || !id) return;
+    
+    if (action === 'resume-campaign') {
+      await resumeCampaign(id);
+    } else if (action === 'discard-campaign') {
+      if (confirm('Discard this saved campaign? Its progress record will be deleted.')) {
+        await deleteCampaign(id);
+        await refreshResumeOffers();
+      }
+    }
+  });
+  
+  // API key vault
+  document.getElementById('vault-enable-btn')?.addEventListener('click', async () => {
+    const input = document.getElementById('vault-passphrase');
+    if (await enableKeyVault(input.value)) input.value = '';
+  });
+  document.getElementById('vault-unlock-btn')?.addEventListener('click', async () => {
+    const input = document.getElementById('vault-passphrase');
+    if (await unlockKeyVault(input.value)) {
+      input.value = '';
+      initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
+    }
+  });
+  document.getElementById('vault-disable-btn')?.addEventListener('click', disableKeyVault);
+  
+  // RPC configuration export / import
+  document.getElementById('export-rpc-config-btn')?.addEventListener('click', () => {
+    exportRpcConfig({ includeKeys: document.getElementById('export-rpc-include-keys').checked });
+  });
+  document.getElementById('import-rpc-config-btn')?.addEventListener('click', () => {
+    document.getElementById('import-rpc-config-file').click();
+  });
+  document.getElementById('import-rpc-config-file')?.addEventListener('change', async (e) => {
+    await previewRpcImport(e.target.files?.[0]);
+    // Allow picking the same file again
+    e.target.value = '';
+  });
+  document.getElementById('rpc-import-apply-btn')?.addEventListener('click', () => {
+    if (applyRpcImport()) {
+      document.getElementById('min-consensus-threshold').value = minConsensusThreshold;
+      initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
+    }
+  });
+  document.getElementById('rpc-import-cancel-btn')?.addEventListener('click', cancelRpcImport);
+  
+  // Receipt exports
+  document.getElementById('export-receipts-csv-btn')?.addEventListener('click', exportReceiptsCsv);
+  document.getElementById('export-receipts-json-btn')?.addEventListener('click', exportReceiptsJson);
+
+  // On-chain reconciliation of the last campaign
+  document.getElementById('reconcile-btn')?.addEventListener('click', async (e) => {
+    if (elements.sendBtn.disabled) {
+      log('Wait for the current send to finish before reconciling.', 'error');
+      return;
+    }
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    btn.textContent = 'Reconciling...';
+    try {
+      const report = await reconcileCampaign();
+      if (report) {
+        renderReconcileReport(report);
+        await refreshResumeOffers();
+      }
+    } catch (err) {
+      log(`Reconciliation failed: ${err?.message || String(err)}`, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Reconcile';
+    }
+  });
+  document.getElementById('reconcile-close-btn')?.addEventListener('click', () => {
+    document.getElementById('reconcile-report').style.display = 'none';
+  });
+  
+  // Pre-flight report decision
+  document.getElementById('preflight-confirm-btn')?.addEventListener('click', () => resolvePreflightDecision(true));
+  document.getElementById('preflight-cancel-btn')?.addEventListener('click', () => resolvePreflightDecision(false));
+  
   // Delegate click events for dynamically rendered endpoint list
   document.getElementById('rpc-endpoints-list')?.addEventListener('click', (e) => {
     const target = e.target;
@@ -0,0 +1,231 @@
+/**
+ * preflight.js - Pre-flight campaign cost and feasibility report
+ */
+
+import { log, formatAmount } from './ui.js';
+
+// Base network fee per signature (each batch transaction has one signer)
+export const LAMPORTS_PER_SIGNATURE = 5000n;
+
+const SOL_DECIMALS = 9;
+
+// Resolver for the pending "Confirm & Send" / "Cancel" decision
+let pendingDecision = null;
+
+/**
+ * Build the pre-flight report for a campaign
+ * @param {Object} ctx - Campaign context
+ * @param {Connection} ctx.connection - Primary connection
+ * @param {PublicKey} ctx.wallet - Sender wallet
+ * @param {string} ctx.assetMode - 'spl' or 'sol'
+ * @param {PublicKey|null} ctx.senderAta - Sender token account (SPL mode)
+ * @param {number} ctx.decimals - Asset decimals
+ * @param {bigint} ctx.totalAmount - Sum debited from the sender in base units
+ * @param {Object|null} ctx.transferFees - Token-2022 transfer fees: { fees, grossUp }
+ * @param {number} ctx.recipientCount - Number of recipients
+ * @param {number} ctx.txCount - Number of batch transactions
+ * @param {number} ctx.missingAtas - Destination ATAs that must be created
+ * @param {number} ctx.tokenAccountSize - Size of a token account for this mint
+ * @param {bigint} ctx.priorityFees - Estimated priority fees for all transactions, in lamports
+ * @param {number} ctx.priorityFeePrice - Compute-unit price used for the estimate
+ * @param {string} ctx.priorityFeeMode - 'off', 'fixed' or 'auto'
+ * @param {Object|null} ctx.lookupTables - Lookup tables to create in v0 mode: { count, sizes, transactions }
+ * @returns {Promise<Object>} Report with rows, totals and blocking reasons
+ */
+export async function buildPreflightReport(ctx) {
+  const { connection, wallet, assetMode, senderAta, decimals, totalAmount, recipientCount, txCount, missingAtas, tokenAccountSize } = ctx;
+  const priorityFees = ctx.priorityFees ?? 0n;
+  const reasons = [];
+
+  const solBalance = BigInt(await connection.getBalance(wallet, 'confirmed'));
+
+  // Token balance and sender ATA state
+  let tokenBalance = null;
+  let senderAtaMissing = false;
+  if (assetMode === 'spl') {
+    const senderInfo = await connection.getAccountInfo(senderAta, 'confirmed');
+    senderAtaMissing = !senderInfo;
+    if (senderAtaMissing) {
+      tokenBalance = 0n;
+    } else {
+      const bal = await connection.getTokenAccountBalance(senderAta, 'confirmed');
+      tokenBalance = BigInt(bal?.value?.amount ?? '0');
+    }
+  }
+
+  // SOL costs
+  const ataCount = BigInt(missingAtas + (senderAtaMissing ? 1 : 0));
+  const rentPerAta = assetMode === 'spl'
+    ? BigInt(await connection.getMinimumBalanceForRentExemption(tokenAccountSize))
+    : 0n;
+  const ataRent = rentPerAta * ataCount;
+  const signatures = BigInt(txCount + (senderAtaMissing ? 1 : 0));
+  const networkFees = LAMPORTS_PER_SIGNATURE * signatures;
+  const solTransfers = assetMode === 'sol' ? totalAmount : 0n;
+
+  // v0 mode: lookup table rent (refunded on close) and setup/cleanup transaction fees
+  let tableRent = 0n;
+  let tableFees = 0n;
+  if (ctx.lookupTables) {
+    for (const size of ctx.lookupTables.sizes) {
+      tableRent += BigInt(await connection.getMinimumBalanceForRentExemption(size));
+    }
+    tableFees = LAMPORTS_PER_SIGNATURE * BigInt(ctx.lookupTables.transactions);
+  }
+
+  const solNeeded = solTransfers + ataRent + networkFees + priorityFees + tableRent + tableFees;
+
+  const rows = [];
+  const unit = assetMode === 'sol' ? 'SOL' : 'tokens';
+
+  if (assetMode === 'spl') {
+    const tokensOk = tokenBalance >= totalAmount;
+    rows.push({
+      label: `Tokens to send (${recipientCount} recipients)`,
+      needed: formatAmount(totalAmount, decimals),
+      available: formatAmount(tokenBalance, decimals),
+      ok: tokensOk
+    });
+    if (!tokensOk) {
+      reasons.push(`Sender token balance is ${formatAmount(tokenBalance, decimals)} but the campaign needs ${formatAmount(totalAmount, decimals)} ${unit} (short by ${formatAmount(totalAmount - tokenBalance, decimals)}).`);
+    }
+    if (ctx.transferFees) {
+      rows.push({
+        label: ctx.transferFees.grossUp
+          ? 'Transfer fees (added so recipients get the full amount)'
+          : 'Transfer fees (withheld from what recipients receive)',
+        needed: formatAmount(ctx.transferFees.fees, decimals),
+        available: '',
+        ok: null
+      });
+    }
+    rows.push({
+      label: `ATA rent (${ataCount} new account${ataCount === 1n ? '' : 's'}${senderAtaMissing ? ', incl. sender' : ''})`,
+      needed: `${formatAmount(ataRent, SOL_DECIMALS)} SOL`,
+      available: '',
+      ok: null
+    });
+  } else {
+    rows.push({
+      label: `SOL to send (${recipientCount} recipients)`,
+      needed: `${formatAmount(solTransfers, SOL_DECIMALS)} SOL`,
+      available: '',
+      ok: null
+    });
+  }
+
+  rows.push({
+    label: `Network fees (${signatures} transaction${signatures === 1n ? '' : 's'})`,
+    needed: `${formatAmount(networkFees, SOL_DECIMALS)} SOL`,
+    available: '',
+    ok: null
+  });
+
+  if (ctx.priorityFeeMode && ctx.priorityFeeMode !== 'off') {
+    rows.push({
+      label: `Priority fees (${ctx.priorityFeeMode}, ${ctx.priorityFeePrice} µLamports/CU, est.)`,
+      needed: `${formatAmount(priorityFees, SOL_DECIMALS)} SOL`,
+      available: '',
+      ok: null
+    });
+  }
+
+  if (ctx.lookupTables) {
+    const { count, transactions } = ctx.lookupTables;
+    rows.push({
+      label: `Lookup tables (${count} table${count === 1 ? '' : 's'}, ${transactions} setup/cleanup transactions; rent refunded on close)`,
+      needed: `${formatAmount(tableRent + tableFees, SOL_DECIMALS)} SOL`,
+      available: '',
+      ok: null
+    });
+  }
+
+  const solOk = solBalance >= solNeeded;
+  rows.push({
+    label: 'Total SOL required',
+    needed: `${formatAmount(solNeeded, SOL_DECIMALS)} SOL`,
+    available: `${formatAmount(solBalance, SOL_DECIMALS)} SOL`,
+    ok: solOk
+  });
+  if (!solOk) {
+    reasons.push(`Wallet SOL balance is ${formatAmount(solBalance, SOL_DECIMALS)} but the campaign needs about ${formatAmount(solNeeded, SOL_DECIMALS)} SOL (short by ${formatAmount(solNeeded - solBalance, SOL_DECIMALS)}).`);
+  }
+
+  return {
+    rows,
+    txCount,
+    missingAtas,
+    senderAtaMissing,
+    solNeeded,
+    solBalance,
+    blocked: reasons.length > 0,
+    reasons
+  };
+}
+
+/**
+ * Render the pre-flight report panel
+ * @param {Object} report - Report from buildPreflightReport
+ */
+export function renderPreflightReport(report) {
+  const panel = document.getElementById('preflight-report');
+  const statusCell = (ok) => ok === null ? '' : ok ? '<span class="text-green-400">✓</span>' : '<span class="text-red-400">✕ short</span>';
+
+  document.getElementById('preflight-rows').innerHTML = report.rows.map(r => `
+    <tr class="border-t border-slate-600">
+      <td class="py-1 pr-2">${r.label}</td>
+      <td class="py-1 pr-2 text-right font-mono">${r.needed}</td>
+      <td class="py-1 pr-2 text-right font-mono">${r.available}</td>
+      <td class="py-1 text-right">${statusCell(r.ok)}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('preflight-tx-count').textContent = String(report.txCount);
+
+  const reasonsEl = document.getElementById('preflight-reasons');
+  reasonsEl.innerHTML = report.reasons.map(r => `<div>⛔ ${r}</div>`).join('');
+  reasonsEl.style.display = report.blocked ? 'block' : 'none';
+
+  const confirmBtn = document.getElementById('preflight-confirm-btn');
+  confirmBtn.disabled = report.blocked;
+  confirmBtn.textContent = report.blocked ? 'Sending Blocked' : 'Confirm & Send';
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Wait for the user to confirm or cancel the pre-flight report
+ * @returns {Promise<boolean>} True to start sending
+ */
+export function awaitPreflightDecision() {
+  return new Promise(resolve => {
+    pendingDecision = resolve;
+  });
+}
+
+/**
+ * Resolve a pending pre-flight decision and hide the panel
+ * @param {boolean} proceed - Whether to start sending
+ */
+export function resolvePreflightDecision(proceed) {
+  document.getElementById('preflight-report').style.display = 'none';
+  if (pendingDecision) {
+    const resolve = pendingDecision;
+    pendingDecision = null;
+    resolve(proceed);
+  }
+}
+
+/**
+ * Log the report so it is kept alongside the run's other output
+ * @param {Object} report - Report from buildPreflightReport
+ */
+export function logPreflightReport(report) {
+  log('📋 Pre-flight report:', 'info');
+  for (const r of report.rows) {
+    const status = r.ok === null ? '' : r.ok ? ' ✓' : ' ✕';
+    log(`  ${r.label}: ${r.needed}${r.available ? ` (available: ${r.available})` : ''}${status}`, r.ok === false ? 'error' : 'info');
+  }
+  log(`  Transactions: ${report.txCount}`, 'info');
+  for (const reason of report.reasons) log(`⛔ ${reason}`, 'error');
+}
@@ -0,0 +1,169 @@
+/**
+ * receipts.js - Per-recipient payout receipts and CSV/JSON export
+ */
+
+import { log, progressState, formatAmount, downloadFile } from './ui.js';
+import { explorerTxUrl } from './rpc-config.js';
+
+const RECEIPT_COLUMNS = [
+  'entryId',
+  'line',
+  'address',
+  'amount',
+  'amountRaw',
+  'asset',
+  'memo',
+  'status',
+  'signature',
+  'slot',
+  'batchIndex',
+  'retryDepth',
+  'attempt',
+  'consensusReached',
+  'consensusConfirmed',
+  'consensusTotal',
+  'consensusDisagreeing',
+  'explorerUrl',
+  'recordedAt'
+];
+
+/**
+ * Record the outcome for one recipient
+ * @param {Object} recipient - Recipient ({id, address, amount, line})
+ * @param {Object} details - status, signature, slot, batchIndex, depth, attempt, and consensus
+ *   ({reached, confirmed, total, disagreeing}, see summarizeConsensus)
+ */
+export function recordReceipt(recipient, details) {
+  progressState.receipts.set(recipient.id, {
+    status: details.status,
+    signature: details.signature ?? null,
+    slot: details.slot ?? null,
+    batchIndex: details.batchIndex ?? null,
+    depth: details.depth ?? 0,
+    attempt: details.attempt ?? null,
+    consensus: details.consensus ?? null,
+    recordedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Summarize a consensus verification result for a receipt
+ * @param {Object} result - Result of performConsensusVerification
+ * @returns {{reached: boolean, confirmed: number, total: number, disagreeing: string[]}|null} Summary;
+ *   disagreeing lists the labels of endpoints whose balance changes differ from the intended amounts
+ */
+export function summarizeConsensus(result) {
+  if (!result) return null;
+  return {
+    reached: result.consensusReached,
+    confirmed: result.confirmedCount,
+    total: result.totalCount,
+    disagreeing: result.disagreeing ?? []
+  };
+}
+
+/**
+ * Explorer link for a signature on the campaign's cluster
+ */
+function explorerUrl(signature, cluster) {
+  return signature ? explorerTxUrl(signature, cluster) : '';
+}
+
+/**
+ * Build one receipt row per recipient, including unpaid ones
+ * @returns {Array<Object>} Receipt rows in recipient order
+ */
+export function buildReceiptRows() {
+  const decimals = progressState.decimals || 0;
+  const campaign = progressState.campaign || {};
+  const asset = campaign.assetMode === 'sol' ? 'SOL' : campaign.mint || '';
+  const failed = new Set(progressState.failedRecipients.map(r => r.id));
+
+  return progressState.allRecipients.map(r => {
+    const receipt = progressState.receipts.get(r.id);
+    const status = progressState.completedRecipients.has(r.id)
+      ? 'completed'
+      : failed.has(r.id) ? (receipt?.status || 'failed') : 'pending';
+
+    return {
+      entryId: r.id,
+      // Merged entries list every source line
+      line: r.lines?.length > 1 ? r.lines.join(';') : r.line ?? '',
+      address: r.address.toString(),
+      amount: formatAmount(r.amount, decimals),
+      amountRaw: r.amount.toString(),
+      asset,
+      memo: r.memo || campaign.memo || '',
+      status,
+      signature: receipt?.signature || '',
+      slot: receipt?.slot ?? '',
+      batchIndex: receipt?.batchIndex != null ? receipt.batchIndex + 1 : '',
+      retryDepth: receipt?.depth ?? '',
+      attempt: receipt?.attempt || '',
+      consensusReached: receipt?.consensus ? receipt.consensus.reached : '',
+      consensusConfirmed: receipt?.consensus ? receipt.consensus.confirmed : '',
+      consensusTotal: receipt?.consensus ? receipt.consensus.total : '',
+      consensusDisagreeing: receipt?.consensus?.disagreeing?.join(';') ?? '',
+      explorerUrl: explorerUrl(receipt?.signature, campaign.cluster),
+      recordedAt: receipt?.recordedAt || ''
+    };
+  });
+}
+
+/**
+ * Escape a value for CSV output
+ */
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Base file name for exported receipts
+ */
+function receiptFileName(ext) {
+  const id = progressState.campaign?.id || `receipts-${Date.now()}`;
+  return `${id}-receipts.${ext}`;
+}
+
+/**
+ * Export receipts as CSV
+ */
+export function exportReceiptsCsv() {
+  const rows = buildReceiptRows();
+  if (rows.length === 0) {
+    log('No recipients to export yet.', 'error');
+    return;
+  }
+  const csv = [RECEIPT_COLUMNS.join(',')]
+    .concat(rows.map(row => RECEIPT_COLUMNS.map(col => csvCell(row[col])).join(',')))
+    .join('\n');
+  downloadFile(receiptFileName('csv'), csv, 'text/csv');
+  log(`Exported ${rows.length} receipt row(s) as CSV.`, 'success');
+}
+
+/**
+ * Export receipts as JSON, with campaign details
+ */
+export function exportReceiptsJson() {
+  const rows = buildReceiptRows();
+  if (rows.length === 0) {
+    log('No recipients to export yet.', 'error');
+    return;
+  }
+  const campaign = progressState.campaign || {};
+  const doc = {
+    campaign: {
+      id: campaign.id ?? null,
+      wallet: campaign.wallet ?? null,
+      cluster: campaign.cluster ?? null,
+      assetMode: campaign.assetMode ?? null,
+      mint: campaign.mint ?? null,
+      decimals: progressState.decimals,
+      exportedAt: new Date().toISOString()
+    },
+    receipts: rows
+  };
+  downloadFile(receiptFileName('json'), JSON.stringify(doc, null, 2), 'application/json');
+  log(`Exported ${rows.length} receipt row(s) as JSON.`, 'success');
+}
@@ -0,0 +1,428 @@
+/**
+ * recipients.js - Recipient list parsing, CSV/TSV file import, and validation report
+ */
+
+import { PublicKey } from 'https://esm.sh/@solana/web3.js@1.95.3';
+import { log, elements, decimalToAmount, escapeHtml } from './ui.js';
+
+const BASE58_ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const AMOUNT_RE = /^\d+(?:\.\d+)?$/;
+const ADDRESS_HEADER_RE = /address|wallet|recipient|owner|pubkey|account/i;
+const AMOUNT_HEADER_RE = /amount|qty|quantity|value|tokens|balance/i;
+const MEMO_HEADER_RE = /^\s*(?:memo|note|reference|comment)s?\s*$/i;
+
+// Longest memo accepted per transfer, in UTF-8 bytes
+export const MAX_MEMO_BYTES = 256;
+
+// Line breaks, tabs and other control characters, which a one-line memo can't hold
+const MEMO_CONTROL_RE = /[\u0000-\u001F\u007F]/;
+
+// Rows of the last dropped file, waiting for column mapping
+let pendingImport = null;
+
+// Last validation result, re-rendered when the filter changes
+let lastValidation = null;
+
+/**
+ * Entry ID for a recipient, used to key progress and receipts.
+ * Based on the line the entry starts on, so repeated addresses stay distinct.
+ * @param {number} line - Line number
+ * @returns {string} Entry ID
+ */
+export function entryId(line) {
+  return `L${line}`;
+}
+
+/**
+ * Parse delimited text (CSV/TSV) with support for quoted fields.
+ * Quotes may wrap delimiters, line breaks and escaped quotes ("").
+ * Blank rows are skipped.
+ * @param {string} text - Raw file or textarea contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<{line: number, cells: string[]}>} Rows with their starting line number
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let inQuotes = false;
+  let wasQuoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    cells.push(wasQuoted ? field : field.trim());
+    field = '';
+    wasQuoted = false;
+  };
+  const endRow = () => {
+    endField();
+    if (cells.some(c => c !== '')) rows.push({ line: rowLine, cells });
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        if (c === '\n') line++;
+        if (c !== '\r') field += c;
+      }
+      continue;
+    }
+
+    if (c === '"' && !wasQuoted && field.trim() === '') {
+      inQuotes = true;
+      wasQuoted = true;
+      field = '';
+    } else if (c === delimiter) {
+      endField();
+    } else if (c === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (c !== '\r' && !wasQuoted) {
+      // Characters after a closing quote are ignored
+      field += c;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Guess the delimiter of a file from its name and first line
+ * @param {string} text - File contents
+ * @param {string} fileName - File name
+ * @returns {string} Delimiter character
+ */
+export function detectDelimiter(text, fileName = '') {
+  if (/\.tsv$/i.test(fileName)) return '\t';
+  const firstLine = text.split(/\r?\n/).find(l => l.trim() !== '') || '';
+  const counts = ['\t', ',', ';'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Guess header presence and address/amount/memo columns for imported rows
+ * @param {Array<{line: number, cells: string[]}>} rows - Parsed rows
+ * @returns {{hasHeader: boolean, addressCol: number, amountCol: number, memoCol: number}} Suggested
+ *   mapping (memoCol is -1 when no memo column is recognized)
+ */
+export function guessColumnMapping(rows) {
+  const first = rows[0]?.cells || [];
+  const hasHeader = rows.length > 1 && !first.some(c => BASE58_ADDRESS_RE.test(c) || AMOUNT_RE.test(c));
+  const sample = rows.slice(hasHeader ? 1 : 0, hasHeader ? 51 : 50);
+  const columnCount = Math.max(0, ...rows.map(r => r.cells.length));
+
+  const score = (test) => {
+    const scores = [];
+    for (let col = 0; col < columnCount; col++) {
+      scores.push(sample.filter(r => test(r.cells[col] || '')).length);
+    }
+    return scores;
+  };
+  const pickBest = (scores, headerRe, exclude) => {
+    if (hasHeader) {
+      const byName = first.findIndex((h, col) => col !== exclude && headerRe.test(h));
+      if (byName !== -1) return byName;
+    }
+    let best = -1;
+    scores.forEach((s, col) => {
+      if (col !== exclude && (best === -1 || s > scores[best])) best = col;
+    });
+    return Math.max(best, 0);
+  };
+
+  const addressCol = pickBest(score(c => BASE58_ADDRESS_RE.test(c)), ADDRESS_HEADER_RE, -1);
+  const amountCol = pickBest(score(c => AMOUNT_RE.test(c)), AMOUNT_HEADER_RE, addressCol);
+  // Memo columns are only picked up by header name
+  const memoCol = hasHeader
+    ? first.findIndex((h, col) => col !== addressCol && col !== amountCol && MEMO_HEADER_RE.test(h))
+    : -1;
+
+  return { hasHeader, addressCol, amountCol, memoCol };
+}
+
+/**
+ * Quote a field for the recipients textarea if it contains a comma or quote
+ * @param {string} value - Field value
+ * @returns {string} Field, quoted if needed
+ */
+export function quoteField(value) {
+  return /[",]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Load a dropped or selected file and show the column mapping panel
+ * @param {File} file - CSV/TSV file
+ */
+export async function handleImportFile(file) {
+  if (!file) return;
+  const text = (await file.text()).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text, file.name);
+  const rows = parseDelimited(text, delimiter);
+
+  if (rows.length === 0) {
+    log(`Import: ${escapeHtml(file.name)} contains no rows.`, 'error');
+    return;
+  }
+
+  pendingImport = { fileName: file.name, rows, ...guessColumnMapping(rows) };
+  log(`Import: read ${rows.length} row(s) from ${escapeHtml(file.name)}. Choose the address and amount columns.`, 'info');
+  renderImportMapping();
+}
+
+/**
+ * Render the column mapping panel for the pending import
+ */
+export function renderImportMapping() {
+  const panel = document.getElementById('import-mapping');
+  if (!pendingImport) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const { fileName, rows, hasHeader, addressCol, amountCol, memoCol } = pendingImport;
+  const columnCount = Math.max(...rows.map(r => r.cells.length));
+  const headerCells = rows[0].cells;
+
+  const options = (selected) => Array.from({ length: columnCount }, (_, col) => {
+    const name = hasHeader && headerCells[col] ? headerCells[col] : `Column ${col + 1}`;
+    const sample = rows[hasHeader ? 1 : 0]?.cells[col] || '';
+    const sampleText = sample ? ` (e.g. ${sample.length > 16 ? sample.slice(0, 13) + '...' : sample})` : '';
+    return `<option value="${col}" ${col === selected ? 'selected' : ''}>${escapeHtml(name + sampleText)}</option>`;
+  }).join('');
+
+  document.getElementById('import-file-name').textContent = fileName;
+  document.getElementById('import-row-count').textContent = `${rows.length - (hasHeader ? 1 : 0)} data row(s)`;
+  document.getElementById('import-has-header').checked = hasHeader;
+  document.getElementById('import-address-col').innerHTML = options(addressCol);
+  document.getElementById('import-amount-col').innerHTML = options(amountCol);
+  document.getElementById('import-memo-col').innerHTML =
+    `<option value="-1" ${memoCol === -1 ? 'selected' : ''}>None</option>` + options(memoCol);
+
+  const preview = rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + 5).map(r =>
+    `<div class="truncate">${escapeHtml(r.cells[addressCol] || '∅')}, ${escapeHtml(r.cells[amountCol] || '∅')}${memoCol >= 0 && r.cells[memoCol] ? `, ${escapeHtml(r.cells[memoCol])}` : ''}</div>`
+  ).join('');
+  document.getElementById('import-preview').innerHTML = preview;
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Update the pending import mapping from the panel inputs
+ */
+export function updateImportMapping() {
+  if (!pendingImport) return;
+  pendingImport.hasHeader = document.getElementById('import-has-header').checked;
+  pendingImport.addressCol = parseInt(document.getElementById('import-address-col').value, 10) || 0;
+  pendingImport.amountCol = parseInt(document.getElementById('import-amount-col').value, 10) || 0;
+  pendingImport.memoCol = parseInt(document.getElementById('import-memo-col').value, 10);
+  renderImportMapping();
+}
+
+/**
+ * Write the mapped columns of the pending import into the recipients textarea
+ * @returns {boolean} True if recipients were imported
+ */
+export function applyImport() {
+  if (!pendingImport) return false;
+  const { fileName, rows, hasHeader, addressCol, amountCol, memoCol } = pendingImport;
+
+  if (addressCol === amountCol || memoCol === addressCol || memoCol === amountCol) {
+    alert('Address, amount and memo must be different columns.');
+    return false;
+  }
+
+  // Each recipient is one line of the textarea, so a memo can't contain a line break
+  const dataRows = rows.slice(hasHeader ? 1 : 0);
+  if (memoCol >= 0) {
+    const badLines = dataRows.filter(r => MEMO_CONTROL_RE.test((r.cells[memoCol] || '').trim())).map(r => r.line);
+    if (badLines.length > 0) {
+      alert(`Memos must be a single line without tabs or control characters. Fix line(s) ${badLines.slice(0, 10).join(', ')}${badLines.length > 10 ? ', ...' : ''} of ${fileName} and import it again.`);
+      return false;
+    }
+  }
+
+  const lines = dataRows.map(r => {
+    const addr = (r.cells[addressCol] || '').replace(/\s+/g, '');
+    const amt = (r.cells[amountCol] || '').trim();
+    const memo = memoCol >= 0 ? (r.cells[memoCol] || '').trim() : '';
+    return `${quoteField(addr)}, ${quoteField(amt)}${memo ? `, ${quoteField(memo)}` : ''}`;
+  });
+
+  elements.recipientsInput.value = lines.join('\n');
+  log(`Imported ${lines.length} recipient line(s) from ${escapeHtml(fileName)}.`, 'success');
+  cancelImport();
+  return true;
+}
+
+/**
+ * Discard the pending import
+ */
+export function cancelImport() {
+  pendingImport = null;
+  document.getElementById('import-file-input').value = '';
+  renderImportMapping();
+}
+
+/**
+ * Validate the recipients list and convert amounts to base units.
+ * Every line is checked; problems never stop validation of later lines.
+ * @param {string} text - Recipients list ("address, amount" or "address, amount, memo" per line)
+ * @param {number} decimals - Decimals of the asset being sent
+ * @param {string} [duplicatePolicy='reject'] - 'reject' flags repeated addresses as errors,
+ *   'merge' sums them into the first entry, 'separate' keeps each line as its own payout
+ * @returns {{rows: Array, recipients: Array, errorCount: number, duplicateCount: number, duplicatePolicy: string}} Per-line
+ *   report, valid recipients ({id, address, amount, memo, line, lines}) and the number of repeated lines
+ */
+export function validateRecipients(text, decimals, duplicatePolicy = 'reject') {
+  const rows = [];
+  const recipients = [];
+  const firstLineByAddress = new Map();
+  const entryByAddress = new Map();
+  let duplicateCount = 0;
+
+  for (const { line, cells } of parseDelimited(text, ',')) {
+    const errors = [];
+    const [addrStr = '', amtStr = '', memoStr = ''] = cells;
+
+    if (cells.length < 2 || cells.length > 3) {
+      errors.push(`expected "address, amount" or "address, amount, memo" but found ${cells.length} field(s)`);
+    }
+
+    const memoBytes = new TextEncoder().encode(memoStr).length;
+    if (memoBytes > MAX_MEMO_BYTES) {
+      errors.push(`memo too long (${memoBytes} bytes, max ${MAX_MEMO_BYTES})`);
+    }
+    if (MEMO_CONTROL_RE.test(memoStr)) {
+      errors.push('memo contains a line break, tab or other control character');
+    }
+
+    let address = null;
+    if (!addrStr) {
+      errors.push('missing address');
+    } else if (!BASE58_ADDRESS_RE.test(addrStr)) {
+      errors.push('invalid base58 address');
+    } else {
+      try {
+        address = new PublicKey(addrStr);
+      } catch {
+        errors.push('invalid base58 address');
+      }
+    }
+
+    let amount = null;
+    if (!amtStr) {
+      errors.push('missing amount');
+    } else if (!AMOUNT_RE.test(amtStr)) {
+      errors.push(`invalid amount "${amtStr}"`);
+    } else {
+      const frac = (amtStr.split('.')[1] || '').replace(/0+$/, '');
+      if (frac.length > decimals) {
+        errors.push(`too many decimals (${frac.length}, max ${decimals})`);
+      } else {
+        amount = decimalToAmount(amtStr, decimals);
+        if (amount <= 0n) errors.push('amount must be greater than zero');
+      }
+    }
+
+    const notes = [];
+    const key = address?.toString();
+    const firstLine = key ? firstLineByAddress.get(key) : undefined;
+    if (firstLine === undefined) {
+      if (key) firstLineByAddress.set(key, line);
+    } else {
+      duplicateCount++;
+      if (duplicatePolicy === 'merge') notes.push(`merged into line ${firstLine}`);
+      else if (duplicatePolicy === 'separate') notes.push(`also on line ${firstLine}; sent as a separate payout`);
+      else errors.push(`duplicate of line ${firstLine} (choose "merge" or "separate" to allow repeated addresses)`);
+    }
+
+    // Merged lines become one transfer, so they can carry only one memo
+    const merged = duplicatePolicy === 'merge' && errors.length === 0 ? entryByAddress.get(key) : null;
+    if (merged && merged.memo !== memoStr) {
+      errors.push(`memo differs from line ${merged.line}; merged lines must share one memo`);
+    }
+
+    rows.push({ line, address: addrStr, amount: amtStr, memo: memoStr, errors, notes });
+    if (errors.length > 0) continue;
+
+    if (merged) {
+      merged.amount += amount;
+      merged.lines.push(line);
+    } else {
+      const entry = { id: entryId(line), address, amount, memo: memoStr, line, lines: [line] };
+      recipients.push(entry);
+      entryByAddress.set(key, entry);
+    }
+  }
+
+  return {
+    rows,
+    recipients,
+    errorCount: rows.filter(r => r.errors.length > 0).length,
+    duplicateCount,
+    duplicatePolicy
+  };
+}
+
+/**
+ * Render the validation report table
+ * @param {Object} [result] - Result of validateRecipients (defaults to the last one)
+ */
+export function renderValidationReport(result = lastValidation) {
+  const panel = document.getElementById('validation-report');
+  lastValidation = result;
+  if (!result) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const onlyProblems = document.getElementById('validation-only-problems').checked;
+  const { rows, errorCount } = result;
+  const summary = document.getElementById('validation-summary');
+
+  if (rows.length === 0) {
+    summary.className = 'text-sm text-red-400';
+    summary.textContent = 'No recipient lines found.';
+  } else if (errorCount > 0) {
+    summary.className = 'text-sm text-red-400';
+    summary.textContent = `${errorCount} of ${rows.length} line(s) have problems. Fix them before sending.`;
+  } else {
+    summary.className = 'text-sm text-green-400';
+    summary.textContent = `All ${rows.length} line(s) are valid.`;
+    if (result.duplicateCount > 0) {
+      summary.textContent += ` ${result.duplicateCount} repeated address line(s) ${result.duplicatePolicy === 'merge' ? 'merged' : 'kept as separate payouts'}.`;
+    }
+  }
+
+  const visible = onlyProblems ? rows.filter(r => r.errors.length > 0) : rows;
+  document.getElementById('validation-rows').innerHTML = visible.map(r => {
+    const bad = r.errors.length > 0;
+    return `<tr class="${bad ? 'text-red-300' : 'text-slate-300'} border-t border-slate-600 align-top">
+      <td class="pr-2 py-1">${r.line}</td>
+      <td class="pr-2 py-1 font-mono text-[10px] break-all">${escapeHtml(r.address)}</td>
+      <td class="pr-2 py-1">${escapeHtml(r.amount)}${r.memo ? `<div class="text-slate-400 break-all">${escapeHtml(r.memo)}</div>` : ''}</td>
+      <td class="py-1">${bad ? escapeHtml(r.errors.join('; ')) : `✓${r.notes?.length ? ` <span class="text-slate-400">${escapeHtml(r.notes.join('; '))}</span>` : ''}`}</td>
+    </tr>`;
+  }).join('');
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Hide the validation report
+ */
+export function clearValidationReport() {
+  renderValidationReport(null);
+}
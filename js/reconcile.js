@@ -0,0 +1,228 @@
+/**
+ * reconcile.js - Post-campaign on-chain reconciliation sweep
+ *
+ * Re-checks every transaction the campaign broadcast against the consensus
+ * endpoints, independently of the outcomes recorded while sending. Recipients
+ * marked completed without a verifiable transaction are flagged, and recipients
+ * whose payment did land despite being recorded as failed or pending are
+ * flagged and marked completed, so a resume does not pay them again.
+ */
+
+import { log, progressState, updateProgress, formatAmount, escapeHtml } from './ui.js';
+import {
+  getEnabledEndpoints,
+  getCurrentCluster,
+  getCommitmentSettings,
+  reachesCommitment,
+  minConsensusThreshold
+} from './rpc-config.js';
+import { verifyTransactionOnEndpoint, getConnection, assetMode } from './transactions.js';
+import { deriveAta, fetchAccountsInChunks } from './ata-cache.js';
+import { recordReceipt } from './receipts.js';
+import { saveActiveCampaign } from './campaigns.js';
+
+// Byte offset of the amount field in an SPL token account
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+// Issues a recipient can be flagged with
+const ISSUE_LABELS = {
+  unverified: 'Marked completed, but no transaction paying it could be verified',
+  landed: 'Recorded as not paid, but a transaction paying it landed (now marked completed)',
+  duplicate: 'Paid by more than one landed transaction',
+  mismatch: 'Endpoints report balance changes that differ from the intended amount'
+};
+
+/**
+ * Check one broadcast transaction on every enabled endpoint
+ * @param {Object} record - Broadcast record
+ * @param {Array} batch - Recipients the transaction paid
+ * @param {Array} endpoints - Enabled endpoints
+ * @returns {Promise<Object>} verdict ('verified', 'mismatch', 'not_found' or 'unverified'),
+ *   confirmed, total and disagreeing endpoint labels
+ */
+async function verifyBroadcast(record, batch, endpoints) {
+  const results = await Promise.all(endpoints.map(async (endpoint) => ({
+    endpoint: endpoint.label,
+    ...await verifyTransactionOnEndpoint(record.signature, endpoint, batch)
+  })));
+
+  const { verification } = getCommitmentSettings();
+  const confirmed = results.filter(r => r.success && reachesCommitment(r.status, verification)).length;
+  const disagreeing = results.filter(r => r.status === 'mismatch').map(r => r.endpoint);
+  let verdict = 'unverified';
+  if (disagreeing.length > 0) verdict = 'mismatch';
+  else if (confirmed >= minConsensusThreshold) verdict = 'verified';
+  else if (results.every(r => r.status === 'not_found')) verdict = 'not_found';
+
+  return { verdict, confirmed, total: results.length, disagreeing };
+}
+
+/**
+ * Current balance of each recipient's destination account, in base units
+ * @param {Array} recipients - Campaign recipients
+ * @returns {Promise<Array<bigint|null>>} Balances in the same order (null if unavailable)
+ */
+async function fetchRecipientBalances(recipients) {
+  const connection = getConnection();
+  if (!connection) return recipients.map(() => null);
+  try {
+    const addresses = recipients.map(r => assetMode === 'sol' ? r.address : deriveAta(r.address));
+    const infos = await fetchAccountsInChunks(connection, addresses);
+    return infos.map(info => {
+      if (!info) return 0n;
+      if (assetMode === 'sol') return BigInt(info.lamports);
+      return info.data.length >= TOKEN_ACCOUNT_AMOUNT_OFFSET + 8
+        ? info.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET)
+        : null;
+    });
+  } catch (e) {
+    log(`⚠️ Could not fetch recipient balances: ${e?.message || String(e)}`, 'warning');
+    return recipients.map(() => null);
+  }
+}
+
+/**
+ * Re-verify every broadcast transaction of the last campaign and flag recipients
+ * whose recorded outcome disagrees with the chain
+ * @returns {Promise<Object|null>} Report ({checked, verifiedTransactions, ok, corrected, flagged, rows}),
+ *   or null if there is nothing to reconcile
+ */
+export async function reconcileCampaign() {
+  const campaign = progressState.campaign;
+  if (!campaign || progressState.allRecipients.length === 0) {
+    log('Nothing to reconcile: run or resume a campaign first.', 'error');
+    return null;
+  }
+  if (campaign.cluster && campaign.cluster !== getCurrentCluster()) {
+    log(`Switch to ${campaign.cluster} to reconcile this campaign.`, 'error');
+    return null;
+  }
+  const endpoints = getEnabledEndpoints();
+  if (endpoints.length === 0) {
+    log('No RPC endpoints enabled for reconciliation.', 'error');
+    return null;
+  }
+
+  // Rejected transactions never reached the network
+  const broadcasts = Array.from(progressState.broadcasts.values()).filter(b => b.status !== 'rejected');
+  const byId = new Map(progressState.allRecipients.map(r => [r.id, r]));
+  log(`🧾 Reconciling ${progressState.allRecipients.length} recipient(s) against ${broadcasts.length} transaction(s) on ${endpoints.length} endpoint(s)...`, 'info');
+
+  // Entry ID -> verified signatures paying it / broadcasts with disagreeing balances
+  const verifiedFor = new Map();
+  const mismatchFor = new Map();
+  const add = (map, id, value) => map.set(id, [...(map.get(id) || []), value]);
+  let verifiedTransactions = 0;
+
+  for (const [i, record] of broadcasts.entries()) {
+    const batch = record.recipients.map(id => byId.get(id)).filter(Boolean);
+    const result = await verifyBroadcast(record, batch, endpoints);
+    if (result.verdict === 'verified') {
+      verifiedTransactions++;
+      for (const r of batch) add(verifiedFor, r.id, { record, result });
+    } else if (result.verdict === 'mismatch') {
+      for (const r of batch) add(mismatchFor, r.id, { record, result });
+    }
+    if ((i + 1) % 10 === 0) log(`🧾 Checked ${i + 1}/${broadcasts.length} transaction(s)...`, 'info');
+  }
+
+  const balances = await fetchRecipientBalances(progressState.allRecipients);
+  const rows = [];
+  let ok = 0;
+  let corrected = 0;
+
+  progressState.allRecipients.forEach((r, idx) => {
+    const verified = verifiedFor.get(r.id) || [];
+    const mismatched = mismatchFor.get(r.id) || [];
+    const completed = progressState.completedRecipients.has(r.id);
+    const issues = [];
+
+    if (completed && verified.length === 0) issues.push('unverified');
+    if (!completed && verified.length > 0) {
+      // Landed despite the recorded outcome: mark paid so a resume skips it
+      const { record, result } = verified[0];
+      progressState.completedRecipients.add(r.id);
+      progressState.failedRecipients = progressState.failedRecipients.filter(f => f.id !== r.id);
+      recordReceipt(r, {
+        status: 'completed',
+        signature: record.signature,
+        slot: record.slot,
+        batchIndex: record.batchIndex,
+        depth: record.depth,
+        attempt: 'reconcile',
+        consensus: { reached: true, confirmed: result.confirmed, total: result.total, disagreeing: result.disagreeing }
+      });
+      corrected++;
+      issues.push('landed');
+    }
+    if (verified.length > 1) issues.push('duplicate');
+    if (mismatched.length > 0) issues.push('mismatch');
+
+    if (issues.length === 0) {
+      if (completed) ok++;
+      return;
+    }
+    rows.push({
+      line: r.lines?.length > 1 ? r.lines.join(';') : r.line,
+      address: r.address.toString(),
+      amount: r.amount,
+      balance: balances[idx],
+      issues,
+      signatures: [...verified, ...mismatched].map(v => v.record.signature)
+    });
+  });
+
+  if (corrected > 0) {
+    updateProgress();
+    await saveActiveCampaign();
+  }
+
+  const report = {
+    checked: broadcasts.length,
+    verifiedTransactions,
+    ok,
+    corrected,
+    flagged: rows.length,
+    rows
+  };
+
+  log(`🧾 Reconciliation: ${verifiedTransactions}/${broadcasts.length} transaction(s) verified, ${ok} recipient(s) confirmed paid, ${rows.length} flagged`, rows.length > 0 ? 'warning' : 'success');
+  for (const row of rows) {
+    log(`  ⚠️ Line ${row.line} (${row.address}): ${row.issues.map(i => ISSUE_LABELS[i]).join('; ')}`, 'warning');
+  }
+  if (corrected > 0) {
+    log(`✅ Marked ${corrected} recipient(s) as completed; a resume will not pay them again`, 'success');
+  }
+
+  return report;
+}
+
+/**
+ * Render the reconciliation report panel
+ * @param {Object} report - Report from reconcileCampaign
+ */
+export function renderReconcileReport(report) {
+  const panel = document.getElementById('reconcile-report');
+  if (!panel || !report) return;
+  const decimals = progressState.decimals || 0;
+  const summary = document.getElementById('reconcile-summary');
+  summary.className = `text-sm ${report.flagged > 0 ? 'text-yellow-400' : 'text-green-400'}`;
+  summary.textContent = `${report.verifiedTransactions}/${report.checked} transaction(s) verified, ` +
+    `${report.ok} recipient(s) confirmed paid, ${report.flagged} flagged` +
+    (report.corrected > 0 ? `, ${report.corrected} marked completed` : '') + '.';
+
+  document.getElementById('reconcile-rows').innerHTML = report.rows.map(r => `
+    <tr class="border-t border-slate-600 align-top text-slate-300">
+      <td class="pr-2 py-1">${escapeHtml(String(r.line))}</td>
+      <td class="pr-2 py-1 font-mono text-[10px] break-all">${escapeHtml(r.address)}</td>
+      <td class="pr-2 py-1 text-right">${formatAmount(r.amount, decimals)}</td>
+      <td class="pr-2 py-1 text-right">${r.balance != null ? formatAmount(r.balance, decimals) : '–'}</td>
+      <td class="py-1">${r.issues.map(i => escapeHtml(ISSUE_LABELS[i])).join('<br>')}
+        ${r.signatures.map(s => `<div class="font-mono text-[10px] text-slate-400 break-all">${escapeHtml(s)}</div>`).join('')}
+      </td>
+    </tr>
+  `).join('');
+  document.getElementById('reconcile-table').style.display = report.rows.length > 0 ? 'table' : 'none';
+
+  panel.style.display = 'block';
+}
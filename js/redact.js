@@ -0,0 +1,36 @@
+/**
+ * redact.js - Masks RPC API keys in text before it is logged or shown
+ */
+
+// Known API keys, longest first so overlapping keys are masked whole
+let secrets = [];
+
+// Keys passed as query parameters, and bearer tokens
+const KEY_PARAM_PATTERN = /([?&](?:api-key|apikey|api_key|access-token|token|key)=)[^&#\s"'<]+/gi;
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9._~+/=-]+/g;
+
+const MASK = '••••';
+
+/**
+ * Set the API keys to mask wherever they appear
+ * @param {string[]} values - API keys (short values are ignored)
+ */
+export function setSecrets(values) {
+  secrets = [...new Set(values.filter(v => typeof v === 'string' && v.length >= 6))]
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Mask API keys in a piece of text
+ * @param {string} text - Text that may contain keys
+ * @returns {string} Text with keys replaced by a mask
+ */
+export function redact(text) {
+  let out = String(text);
+  for (const secret of secrets) {
+    out = out.split(secret).join(MASK);
+  }
+  return out
+    .replace(KEY_PARAM_PATTERN, `$1${MASK}`)
+    .replace(BEARER_PATTERN, `$1${MASK}`);
+}
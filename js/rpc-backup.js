@@ -0,0 +1,326 @@
+/**
+ * rpc-backup.js - Export and import of the RPC endpoint configuration
+ *
+ * The export has the same "rpc" shape as config.json, plus the primary
+ * endpoint per cluster and the consensus threshold, so it is validated with
+ * the same rules on import. Imports are merged into the current endpoints
+ * after a preview: endpoints are matched by ID, and endpoints missing from
+ * the file are kept.
+ */
+
+import { log, downloadFile, escapeHtml } from './ui.js';
+import { validateRpcConfig } from './config.js';
+import { parseJsonWithLines, formatIssue } from './config-schema.js';
+import { MIN_CONSENSUS_THRESHOLD, MAX_CONSENSUS_THRESHOLD } from './constants.js';
+import {
+  clusters,
+  userRpcEndpoints,
+  primaryEndpointByCluster,
+  minConsensusThreshold,
+  getAuthMode,
+  saveRpcEndpoints,
+  renderEndpointsList,
+  updateConsensusThreshold,
+  isKeyVaultLocked
+} from './rpc-config.js';
+
+export const RPC_BACKUP_VERSION = 1;
+
+// Endpoint fields an import can change
+const MERGED_FIELDS = ['label', 'url', 'authMode', 'enabled'];
+
+// Top-level fields of an export besides "rpc"; the import checks them itself
+const BACKUP_FIELDS = {
+  version: { type: 'any' },
+  exportedAt: { type: 'any' },
+  keysRedacted: { type: 'any' },
+  minConsensusThreshold: { type: 'any' },
+  primaryEndpointByCluster: { type: 'any' }
+};
+
+// Previewed import waiting for the user to apply or cancel it: {doc, lineOf, plan}
+let pendingImport = null;
+
+/**
+ * Download the current RPC configuration as JSON
+ * @param {Object} [opts]
+ * @param {boolean} [opts.includeKeys=false] - Include API keys instead of blanking them
+ */
+export function exportRpcConfig({ includeKeys = false } = {}) {
+  if (includeKeys && isKeyVaultLocked()) {
+    log('Unlock the key vault to export API keys.', 'error');
+    return;
+  }
+
+  const rpc = Object.fromEntries(Object.entries(userRpcEndpoints).map(([cluster, endpoints]) => [
+    cluster,
+    endpoints.map(ep => ({
+      id: ep.id,
+      label: ep.label,
+      url: ep.url,
+      apiKey: includeKeys ? ep.apiKey || '' : '',
+      authMode: getAuthMode(ep),
+      enabled: !!ep.enabled,
+      isDefault: !!ep.isDefault
+    }))
+  ]));
+
+  const doc = {
+    version: RPC_BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    keysRedacted: !includeKeys,
+    minConsensusThreshold,
+    primaryEndpointByCluster: { ...primaryEndpointByCluster },
+    rpc
+  };
+
+  downloadFile(`rpc-config-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(doc, null, 2), 'application/json');
+  const count = Object.values(rpc).reduce((n, eps) => n + eps.length, 0);
+  log(`Exported ${count} RPC endpoint(s)${includeKeys ? ' with their API keys' : ' (API keys removed)'}.`, 'success');
+}
+
+/**
+ * Compare an imported endpoint with the current one
+ * @returns {string[]} Names of the fields the import would change
+ */
+function changedFields(current, incoming) {
+  const changes = MERGED_FIELDS.filter(field => {
+    const before = field === 'authMode' ? getAuthMode(current) : current[field];
+    const after = field === 'authMode' ? getAuthMode(incoming) : incoming[field] ?? (field === 'enabled' ? true : undefined);
+    return before !== after;
+  });
+  if (incoming.apiKey && incoming.apiKey !== current.apiKey) changes.push('apiKey');
+  return changes;
+}
+
+/**
+ * Build the merge plan of an imported configuration against the current endpoints
+ * @param {Object} doc - Parsed import file
+ * @param {Function} lineOf - Path -> line lookup from parseJsonWithLines
+ * @returns {Object} Plan ({rows, problems, skippedClusters, primary, threshold, hasKeys, blocked})
+ */
+function planImport(doc, lineOf) {
+  const { valid, rpc, problems } = validateRpcConfig(doc, { lineOf, extraFields: BACKUP_FIELDS });
+  const plan = { rows: [], problems: problems.map(formatIssue), skippedClusters: [], primary: [], threshold: null, hasKeys: false, blocked: !valid };
+  if (!valid) return plan;
+
+  for (const [cluster, endpoints] of Object.entries(rpc)) {
+    if (!clusters[cluster]) {
+      plan.skippedClusters.push(cluster);
+      continue;
+    }
+    const current = userRpcEndpoints[cluster] || [];
+    for (const ep of endpoints) {
+      if (ep.apiKey) plan.hasKeys = true;
+      const existing = current.find(c => c.id === ep.id);
+      if (!existing) {
+        plan.rows.push({ cluster, endpoint: ep, action: 'add', changes: [] });
+      } else {
+        const changes = changedFields(existing, ep);
+        plan.rows.push({ cluster, endpoint: ep, action: changes.length > 0 ? 'update' : 'unchanged', changes });
+      }
+    }
+    const importedIds = new Set(endpoints.map(ep => ep.id));
+    for (const ep of current) {
+      if (!importedIds.has(ep.id)) plan.rows.push({ cluster, endpoint: ep, action: 'keep', changes: [] });
+    }
+  }
+
+  // Primary selection per cluster, applied only if the endpoint exists after the merge
+  const primaries = doc.primaryEndpointByCluster;
+  if (primaries != null && (typeof primaries !== 'object' || Array.isArray(primaries))) {
+    plan.problems.push('"primaryEndpointByCluster" is not an object');
+  } else {
+    for (const [cluster, id] of Object.entries(primaries || {})) {
+      if (!clusters[cluster] || id === (primaryEndpointByCluster[cluster] ?? null)) continue;
+      const known = plan.rows.some(r => r.cluster === cluster && r.endpoint.id === id);
+      if (id !== null && !known) {
+        plan.problems.push(`primary endpoint "${id}" for ${cluster} does not exist, skipped`);
+        continue;
+      }
+      plan.primary.push({ cluster, from: primaryEndpointByCluster[cluster] ?? null, to: id });
+    }
+  }
+
+  // Consensus threshold, same range as the UI input
+  if (doc.minConsensusThreshold != null) {
+    const value = doc.minConsensusThreshold;
+    if (!Number.isInteger(value) || value < MIN_CONSENSUS_THRESHOLD || value > MAX_CONSENSUS_THRESHOLD) {
+      plan.problems.push(`"minConsensusThreshold" must be a whole number from ${MIN_CONSENSUS_THRESHOLD} to ${MAX_CONSENSUS_THRESHOLD}`);
+    } else if (value !== minConsensusThreshold) {
+      plan.threshold = { from: minConsensusThreshold, to: value };
+    }
+  }
+
+  if (plan.skippedClusters.length > 0) {
+    plan.problems.push(`cluster(s) not configured here, skipped: ${plan.skippedClusters.join(', ')}`);
+  }
+  if (plan.hasKeys && isKeyVaultLocked()) {
+    plan.problems.push('the file contains API keys; unlock the key vault before importing it');
+    plan.blocked = true;
+  }
+  return plan;
+}
+
+/**
+ * What a plan would do, for telling whether it changed since the preview
+ */
+function planSignature(plan) {
+  return JSON.stringify({
+    rows: plan.rows.map(r => [r.cluster, r.endpoint.id, r.action, r.changes]),
+    primary: plan.primary,
+    threshold: plan.threshold,
+    blocked: plan.blocked
+  });
+}
+
+/**
+ * Render the import preview panel
+ */
+function renderImportPreview(plan) {
+  const panel = document.getElementById('rpc-import-preview');
+  const count = (action) => plan.rows.filter(r => r.action === action).length;
+  const settingChanges = plan.primary.length + (plan.threshold ? 1 : 0);
+
+  const summary = document.getElementById('rpc-import-summary');
+  if (plan.blocked) {
+    summary.className = 'text-sm text-red-400';
+    summary.textContent = 'This file cannot be imported.';
+  } else {
+    summary.className = 'text-sm text-slate-200';
+    summary.textContent = `${count('add')} new, ${count('update')} updated, ${count('unchanged')} unchanged, ` +
+      `${count('keep')} kept (not in file)` + (settingChanges > 0 ? `, ${settingChanges} setting change(s)` : '') + '.';
+  }
+
+  document.getElementById('rpc-import-problems').innerHTML = plan.problems
+    .map(p => `<div>⚠️ ${escapeHtml(p)}</div>`)
+    .join('');
+
+  const badge = {
+    add: 'bg-green-600',
+    update: 'bg-yellow-600',
+    unchanged: 'bg-slate-600',
+    keep: 'bg-slate-600'
+  };
+  const rows = plan.rows.map(r => `
+    <tr class="border-t border-slate-600 align-top">
+      <td class="pr-2 py-1 text-slate-400">${escapeHtml(r.cluster)}</td>
+      <td class="pr-2 py-1 text-white">${escapeHtml(r.endpoint.label)}</td>
+      <td class="pr-2 py-1"><span class="${badge[r.action]} text-white px-1 rounded">${r.action}</span></td>
+      <td class="py-1 text-slate-300">${escapeHtml(r.changes.join(', '))}</td>
+    </tr>
+  `);
+  for (const p of plan.primary) {
+    rows.push(`
+      <tr class="border-t border-slate-600">
+        <td class="pr-2 py-1 text-slate-400">${escapeHtml(p.cluster)}</td>
+        <td class="pr-2 py-1 text-white">Primary endpoint</td>
+        <td class="pr-2 py-1"><span class="bg-yellow-600 text-white px-1 rounded">update</span></td>
+        <td class="py-1 text-slate-300">${escapeHtml(p.from ?? 'none')} → ${escapeHtml(p.to ?? 'none')}</td>
+      </tr>
+    `);
+  }
+  if (plan.threshold) {
+    rows.push(`
+      <tr class="border-t border-slate-600">
+        <td class="pr-2 py-1 text-slate-400">all</td>
+        <td class="pr-2 py-1 text-white">Consensus threshold</td>
+        <td class="pr-2 py-1"><span class="bg-yellow-600 text-white px-1 rounded">update</span></td>
+        <td class="py-1 text-slate-300">${plan.threshold.from} → ${plan.threshold.to}</td>
+      </tr>
+    `);
+  }
+  document.getElementById('rpc-import-rows').innerHTML = rows.join('');
+  document.getElementById('rpc-import-apply-btn').disabled = plan.blocked;
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Read an exported configuration file and show what importing it would change
+ * @param {File} file - JSON file
+ */
+export async function previewRpcImport(file) {
+  if (!file) return;
+  let parsed;
+  try {
+    parsed = parseJsonWithLines(await file.text());
+  } catch (e) {
+    log(`Could not read ${escapeHtml(file.name)}: ${e?.message || String(e)}`, 'error');
+    return;
+  }
+
+  const plan = planImport(parsed.value, parsed.lineOf);
+  pendingImport = plan.blocked ? null : { doc: parsed.value, lineOf: parsed.lineOf, plan };
+  renderImportPreview(plan);
+  log(`Review the import preview for ${escapeHtml(file.name)} and click "Apply Import" to merge it.`, 'info');
+}
+
+/**
+ * Merge the previewed import into the current configuration and save it
+ * @returns {boolean} True if something was imported
+ */
+export function applyRpcImport() {
+  if (!pendingImport) return false;
+
+  // Endpoints may have been edited, added or removed since the preview; plan again against the current list
+  const plan = planImport(pendingImport.doc, pendingImport.lineOf);
+  if (planSignature(plan) !== planSignature(pendingImport.plan)) {
+    pendingImport = plan.blocked ? null : { ...pendingImport, plan };
+    renderImportPreview(plan);
+    log('The endpoints changed since the import preview. Review the updated preview and apply it again.', 'warning');
+    return false;
+  }
+  if (plan.hasKeys && isKeyVaultLocked()) {
+    log('Unlock the key vault before importing API keys.', 'error');
+    return false;
+  }
+
+  for (const { cluster, endpoint, action } of plan.rows) {
+    const endpoints = userRpcEndpoints[cluster] ||= [];
+    if (action === 'add') {
+      // Endpoints from another machine's config.json become custom endpoints here
+      endpoints.push({
+        id: endpoint.id,
+        label: endpoint.label,
+        url: endpoint.url,
+        apiKey: endpoint.apiKey || '',
+        authMode: getAuthMode(endpoint),
+        enabled: endpoint.enabled ?? true,
+        isDefault: false
+      });
+    } else if (action === 'update') {
+      const existing = endpoints.find(ep => ep.id === endpoint.id);
+      existing.label = endpoint.label;
+      existing.url = endpoint.url;
+      existing.authMode = getAuthMode(endpoint);
+      existing.enabled = endpoint.enabled ?? true;
+      // Exports without keys leave the current key in place
+      if (endpoint.apiKey) existing.apiKey = endpoint.apiKey;
+      // Keep the imported fields of a config.json endpoint across reloads
+      if (existing.isDefault) existing.overridden = true;
+    }
+  }
+  for (const { cluster, to } of plan.primary) {
+    primaryEndpointByCluster[cluster] = to;
+  }
+
+  saveRpcEndpoints();
+  if (plan.threshold) updateConsensusThreshold(plan.threshold.to);
+  renderEndpointsList();
+  cancelRpcImport();
+
+  const added = plan.rows.filter(r => r.action === 'add').length;
+  const updated = plan.rows.filter(r => r.action === 'update').length;
+  log(`Imported RPC configuration: ${added} endpoint(s) added, ${updated} updated.`, 'success');
+  return true;
+}
+
+/**
+ * Discard the previewed import
+ */
+export function cancelRpcImport() {
+  pendingImport = null;
+  const panel = document.getElementById('rpc-import-preview');
+  if (panel) panel.style.display = 'none';
+}
@@ -3,58 +3,65 @@
  */
 
 import { loadConfig, DEFAULT_RPC_ENDPOINTS } from './config.js';
-import { log, elements } from './ui.js';
-
-// RPC configuration state
-export let userRpcEndpoints = { mainnet: [], devnet: [], testnet: [] };
+import { AUTH_MODES, formatIssue } from './config-schema.js';
+import { log, elements, escapeHtml } from './ui.js';
+import { MIN_CONSENSUS_THRESHOLD, MAX_CONSENSUS_THRESHOLD } from './constants.js';
+import { isVaultEnabled, isVaultUnlocked, createVault, unlockVault, sealKeys, removeVault } from './vault.js';
+import { setSecrets } from './redact.js';
+
+// RPC configuration state, keyed by cluster name
+export let clusters = {};
+export let userRpcEndpoints = {};
 export let minConsensusThreshold = 2;
-export let primaryEndpointByCluster = { mainnet: null, devnet: null, testnet: null };
+export let primaryEndpointByCluster = {};
 export let currentCluster = 'devnet';
+
+// Campaign defaults and problems found in config.json
+export let campaignDefaults = {};
+export let configProblems = [];
 let editingEndpointIndex = null;
 
 // Store loaded config for reference
 let loadedConfig = null;
 
+// Vault writes are chained so they land in the order they were made
+let vaultWrite = Promise.resolve();
+
 /**
  * Initialize RPC configuration - load config.json and merge with localStorage
  */
 export async function initRpcConfig() {
   // Load config.json
   loadedConfig = await loadConfig();
+  clusters = loadedConfig.clusters;
+  campaignDefaults = loadedConfig.defaults || {};
+  configProblems = loadedConfig.problems || [];
+  const clusterNames = Object.keys(clusters);
   
   // Load user customizations from localStorage
   const stored = localStorage.getItem('rpcEndpointsConfig');
+  let parsed = {};
   if (stored) {
     try {
-      const parsed = JSON.parse(stored);
-      // Merge: Start with config.json defaults, then add/override with user customizations
-      userRpcEndpoints = {
-        mainnet: mergeEndpoints(loadedConfig.rpc.mainnet, parsed.mainnet),
-        devnet: mergeEndpoints(loadedConfig.rpc.devnet, parsed.devnet),
-        testnet: mergeEndpoints(loadedConfig.rpc.testnet, parsed.testnet)
-      };
+      parsed = JSON.parse(stored) || {};
     } catch (e) {
       console.error('Failed to parse stored RPC endpoints:', e);
       // Fall back to config.json defaults
-      userRpcEndpoints = {
-        mainnet: [...loadedConfig.rpc.mainnet],
-        devnet: [...loadedConfig.rpc.devnet],
-        testnet: [...loadedConfig.rpc.testnet]
-      };
+      parsed = {};
     }
-  } else {
-    // No localStorage, use config.json defaults
-    userRpcEndpoints = {
-      mainnet: [...loadedConfig.rpc.mainnet],
-      devnet: [...loadedConfig.rpc.devnet],
-      testnet: [...loadedConfig.rpc.testnet]
-    };
   }
+  // Merge: Start with config.json defaults, then add/override with user customizations
+  userRpcEndpoints = Object.fromEntries(clusterNames.map(name => [
+    name,
+    mergeEndpoints(loadedConfig.rpc[name] || [], parsed[name])
+  ]));
   
-  // Load consensus threshold
+  // Load consensus threshold: the user's setting, else the config.json default
   const storedThreshold = localStorage.getItem('minConsensusThreshold');
   if (storedThreshold) {
     minConsensusThreshold = parseInt(storedThreshold, 10) || 2;
+  } else if (campaignDefaults.consensusThreshold) {
+    minConsensusThreshold = campaignDefaults.consensusThreshold;
   }
 
   // Load primary endpoint selections
@@ -64,9 +71,76 @@ export async function initRpcConfig() {
       primaryEndpointByCluster = JSON.parse(storedPrimary);
     } catch (e) {
       console.error('Failed to parse stored primary endpoints:', e);
-      primaryEndpointByCluster = { mainnet: null, devnet: null, testnet: null };
+      primaryEndpointByCluster = {};
     }
   }
+
+  refreshSecrets();
+  renderClusterOptions();
+  renderVaultStatus();
+  renderConfigProblems();
+}
+
+/**
+ * Show the problems found in config.json, with their line numbers
+ */
+function renderConfigProblems() {
+  const panel = document.getElementById('config-problems');
+  if (!panel) return;
+  if (configProblems.length === 0) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const errors = configProblems.filter(p => p.level === 'error').length;
+  const warnings = configProblems.length - errors;
+  document.getElementById('config-problems-summary').textContent =
+    `config.json: ${errors} error(s), ${warnings} warning(s). Invalid entries were skipped.`;
+  document.getElementById('config-problems-list').innerHTML = configProblems.map(p => (
+    `<div class="${p.level === 'error' ? 'text-red-300' : 'text-yellow-300'}">${p.level === 'error' ? '✕' : '⚠️'} ${escapeHtml(formatIssue(p))}</div>`
+  )).join('');
+  panel.style.display = 'block';
+}
+
+/**
+ * Commitment levels from config.json defaults
+ * @returns {{landed: string, verification: string}} Level at which a sent transaction
+ *   counts as landed, and level each consensus endpoint must report
+ */
+export function getCommitmentSettings() {
+  return {
+    landed: 'finalized',
+    verification: 'finalized',
+    ...campaignDefaults.commitment
+  };
+}
+
+/**
+ * Whether a confirmation status is at least a commitment level
+ * @param {string|null} status - 'processed', 'confirmed' or 'finalized'
+ * @param {string} level - Required level
+ * @returns {boolean}
+ */
+export function reachesCommitment(status, level) {
+  const order = ['processed', 'confirmed', 'finalized'];
+  return order.includes(status) && order.indexOf(status) >= order.indexOf(level);
+}
+
+/**
+ * Fill the cluster dropdown with the configured clusters, keeping the selection if it still exists
+ */
+function renderClusterOptions() {
+  const select = elements.clusterSelect;
+  const selected = select.value;
+  select.innerHTML = '';
+  for (const [name, def] of Object.entries(clusters)) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = def.label;
+    select.appendChild(option);
+  }
+  if (clusters[selected]) select.value = selected;
+  currentCluster = getCurrentCluster();
 }
 
 /**
@@ -76,12 +150,13 @@ export async function initRpcConfig() {
  * @returns {Array} Merged endpoint list
  */
 function mergeEndpoints(configEndpoints, userEndpoints) {
+  // Copies, so "Reset to Defaults" still finds the config.json values
   if (!userEndpoints || !Array.isArray(userEndpoints)) {
-    return [...configEndpoints];
+    return configEndpoints.map(ep => ({ ...ep }));
   }
   
   // Start with config.json defaults
-  const merged = [...configEndpoints];
+  const merged = configEndpoints.map(ep => ({ ...ep }));
   
   // Add custom endpoints (those not marked as isDefault)
   for (const userEp of userEndpoints) {
@@ -97,6 +172,14 @@ function mergeEndpoints(configEndpoints, userEndpoints) {
       if (defaultEp) {
         // Preserve user's enabled/disabled preference for default endpoints
         defaultEp.enabled = userEp.enabled;
+        // Edited or imported fields replace the config.json values (keys in the vault are applied on unlock)
+        if (userEp.overridden) {
+          defaultEp.label = userEp.label;
+          defaultEp.url = userEp.url;
+          defaultEp.authMode = userEp.authMode;
+          if (userEp.apiKey) defaultEp.apiKey = userEp.apiKey;
+          defaultEp.overridden = true;
+        }
       }
     }
   }
@@ -105,10 +188,54 @@ function mergeEndpoints(configEndpoints, userEndpoints) {
 }
 
 /**
- * Save RPC configuration to localStorage
+ * API keys of all endpoints
+ * @returns {Object} Cluster -> endpoint ID -> API key
+ */
+function collectApiKeys() {
+  const keys = {};
+  for (const [cluster, endpoints] of Object.entries(userRpcEndpoints)) {
+    for (const ep of endpoints) {
+      if (ep.apiKey) (keys[cluster] ||= {})[ep.id] = ep.apiKey;
+    }
+  }
+  return keys;
+}
+
+/**
+ * Endpoints with their API keys removed, for storing next to the vault
+ */
+function withoutApiKeys(endpointsByCluster) {
+  return Object.fromEntries(Object.entries(endpointsByCluster).map(([cluster, endpoints]) => [
+    cluster,
+    endpoints.map(ep => ({ ...ep, apiKey: '' }))
+  ]));
+}
+
+/**
+ * Tell the log redaction about the current API keys (as entered and URL-encoded)
+ */
+function refreshSecrets() {
+  const values = Object.values(collectApiKeys()).flatMap(Object.values);
+  setSecrets([...values, ...values.map(encodeURIComponent)]);
+}
+
+/**
+ * Save RPC configuration to localStorage. With the vault enabled, API keys are
+ * only stored encrypted.
  */
 export function saveRpcEndpoints() {
-  localStorage.setItem('rpcEndpointsConfig', JSON.stringify(userRpcEndpoints));
+  refreshSecrets();
+  if (isVaultEnabled()) {
+    localStorage.setItem('rpcEndpointsConfig', JSON.stringify(withoutApiKeys(userRpcEndpoints)));
+    if (isVaultUnlocked()) {
+      const keys = collectApiKeys();
+      vaultWrite = vaultWrite
+        .then(() => sealKeys(keys))
+        .catch(e => log(`⚠️ Could not save API keys to the vault: ${e?.message || String(e)}`, 'warning'));
+    }
+  } else {
+    localStorage.setItem('rpcEndpointsConfig', JSON.stringify(userRpcEndpoints));
+  }
   localStorage.setItem('minConsensusThreshold', minConsensusThreshold.toString());
   localStorage.setItem('primaryEndpointByCluster', JSON.stringify(primaryEndpointByCluster));
 }
@@ -118,11 +245,33 @@ export function saveRpcEndpoints() {
  * @returns {string} Current cluster name
  */
 export function getCurrentCluster() {
-  const dropdownUrl = elements.clusterSelect.value;
-  
-  if (dropdownUrl.includes('devnet')) return 'devnet';
-  if (dropdownUrl.includes('testnet')) return 'testnet';
-  return 'mainnet';
+  return elements.clusterSelect.value || 'devnet';
+}
+
+/**
+ * Get a cluster's definition
+ * @param {string} [cluster] - Cluster name (defaults to the current cluster)
+ * @returns {{label: string, url: string, genesisHash: string|null}} Cluster definition
+ */
+export function getClusterDefinition(cluster = getCurrentCluster()) {
+  return clusters[cluster] || { label: cluster, url: '', genesisHash: null };
+}
+
+/**
+ * Explorer link for a transaction on a cluster, on Solscan unless config.json
+ * sets defaults.explorerBaseUrl. Custom clusters are linked with their RPC URL
+ * (on the Solana Explorer by default).
+ * @param {string} signature - Transaction signature
+ * @param {string} [cluster] - Cluster name (defaults to the current cluster)
+ * @returns {string} Explorer URL
+ */
+export function explorerTxUrl(signature, cluster = getCurrentCluster()) {
+  const configured = campaignDefaults.explorerBaseUrl?.replace(/\/+$/, '');
+  const base = configured || 'https://solscan.io';
+  if (cluster === 'mainnet') return `${base}/tx/${signature}`;
+  if (cluster === 'devnet' || cluster === 'testnet') return `${base}/tx/${signature}?cluster=${cluster}`;
+  const url = getClusterDefinition(cluster).url;
+  return `${configured || 'https://explorer.solana.com'}/tx/${signature}?cluster=custom&customUrl=${encodeURIComponent(url)}`;
 }
 
 /**
@@ -135,13 +284,34 @@ export function getEnabledEndpoints() {
   return endpoints.filter(ep => ep.enabled);
 }
 
+/**
+ * Auth mode of an endpoint, defaulting to the query parameter
+ * @param {Object} endpoint - Endpoint configuration
+ * @returns {string} 'query', 'header', 'bearer' or 'path'
+ */
+export function getAuthMode(endpoint) {
+  return AUTH_MODES[endpoint.authMode] ? endpoint.authMode : 'query';
+}
+
 /**
  * Build full URL with API key if needed
  * @param {Object} endpoint - Endpoint configuration
- * @returns {string} Full URL with API key
+ * @returns {string} Full URL with API key (unchanged for header and bearer auth)
  */
 export function buildEndpointUrl(endpoint) {
   if (!endpoint.apiKey) return endpoint.url;
+
+  const mode = getAuthMode(endpoint);
+  if (mode === 'header' || mode === 'bearer') return endpoint.url;
+  if (mode === 'path') {
+    try {
+      const urlObj = new URL(endpoint.url);
+      urlObj.pathname = `${urlObj.pathname.replace(/\/+$/, '')}/${encodeURIComponent(endpoint.apiKey)}`;
+      return urlObj.toString();
+    } catch (e) {
+      return `${endpoint.url.replace(/\/+$/, '')}/${encodeURIComponent(endpoint.apiKey)}`;
+    }
+  }
   
   // If URL already has query params, append with &
   if (endpoint.url.includes('?')) {
@@ -151,6 +321,54 @@ export function buildEndpointUrl(endpoint) {
   return `${endpoint.url}?api-key=${endpoint.apiKey}`;
 }
 
+/**
+ * Build the HTTP headers carrying an endpoint's API key
+ * @param {Object} endpoint - Endpoint configuration
+ * @returns {Object} Headers for header and bearer auth, otherwise empty
+ */
+export function buildEndpointHeaders(endpoint) {
+  if (!endpoint.apiKey) return {};
+  const mode = getAuthMode(endpoint);
+  if (mode === 'header') return { 'x-api-key': endpoint.apiKey };
+  if (mode === 'bearer') return { Authorization: `Bearer ${endpoint.apiKey}` };
+  return {};
+}
+
+/**
+ * Render <option> elements for the auth mode selects
+ * @param {string} selected - Selected mode
+ * @returns {string} Options HTML
+ */
+function authModeOptions(selected) {
+  return Object.entries(AUTH_MODES)
+    .map(([mode, label]) => `<option value="${mode}" ${mode === selected ? 'selected' : ''}>${label}</option>`)
+    .join('');
+}
+
+/**
+ * Move an API key given as ?api-key= / ?apikey= out of the URL
+ * @param {string} url - RPC URL as entered
+ * @param {string} apiKey - API key as entered
+ * @returns {{url: string, apiKey: string}} URL without the key, and the key
+ */
+function extractApiKeyFromUrl(url, apiKey) {
+  if (!url.includes('api-key=') && !url.includes('apikey=')) return { url, apiKey };
+  try {
+    const urlObj = new URL(url);
+    const keyFromUrl = urlObj.searchParams.get('api-key') || urlObj.searchParams.get('apikey');
+    if (keyFromUrl && !apiKey) {
+      apiKey = keyFromUrl;
+    }
+    // Remove API key from URL
+    urlObj.searchParams.delete('api-key');
+    urlObj.searchParams.delete('apikey');
+    url = urlObj.toString();
+  } catch (e) {
+    console.error('Error parsing URL:', e);
+  }
+  return { url, apiKey };
+}
+
 /**
  * Obfuscate API key for display
  * @param {string} key - API key
@@ -182,12 +400,6 @@ export function renderEndpointsList() {
     
     if (isEditing) {
       // Edit mode
-      const escapeHtml = (str) => {
-        const div = document.createElement('div');
-        div.textContent = str || '';
-        return div.innerHTML;
-      };
-      
       return `
         <div class="bg-slate-700 rounded p-3">
           <div class="space-y-2">
@@ -200,6 +412,10 @@ export function renderEndpointsList() {
             <input id="edit-apikey-${idx}" type="text" value="${escapeHtml(ep.apiKey || '')}" 
                    placeholder="API Key (optional)"
                    class="w-full bg-slate-600 text-white border border-slate-500 rounded p-2 text-sm">
+            <select id="edit-auth-${idx}" title="How the API key is sent"
+                    class="w-full bg-slate-600 text-white border border-slate-500 rounded p-2 text-sm">
+              ${authModeOptions(getAuthMode(ep))}
+            </select>
             <div class="flex gap-2">
               <button data-action="save-endpoint" data-idx="${idx}" 
                       class="flex-1 bg-green-600 hover:bg-green-700 text-white text-sm py-1 px-3 rounded transition">
@@ -217,7 +433,7 @@ export function renderEndpointsList() {
       // Display mode
       const displayUrl = ep.url.length > 50 ? ep.url.slice(0, 47) + '...' : ep.url;
       const hasApiKey = ep.apiKey && ep.apiKey.trim() !== '';
-      const apiKeyDisplay = hasApiKey ? obfuscateApiKey(ep.apiKey) : 'None';
+      const apiKeyDisplay = hasApiKey ? `${obfuscateApiKey(ep.apiKey)} (${AUTH_MODES[getAuthMode(ep)]})` : 'None';
       
       return `
         <div class="bg-slate-700 rounded p-3 flex items-start justify-between gap-2">
@@ -289,6 +505,7 @@ export function saveEndpoint(idx) {
   let label = document.getElementById(`edit-label-${idx}`)?.value.trim() || '';
   let url = document.getElementById(`edit-url-${idx}`)?.value.trim() || '';
   let apiKey = document.getElementById(`edit-apikey-${idx}`)?.value.trim() || '';
+  const authMode = document.getElementById(`edit-auth-${idx}`)?.value || 'query';
 
   if (!label || !url) {
     alert('Label and URL are required.');
@@ -296,25 +513,18 @@ export function saveEndpoint(idx) {
   }
 
   // Extract API key from URL if present
-  try {
-    if (url.includes('api-key=') || url.includes('apikey=')) {
-      const urlObj = new URL(url);
-      const keyFromUrl = urlObj.searchParams.get('api-key') || urlObj.searchParams.get('apikey');
-      if (keyFromUrl && !apiKey) {
-        apiKey = keyFromUrl;
-      }
-      // Remove API key from URL
-      urlObj.searchParams.delete('api-key');
-      urlObj.searchParams.delete('apikey');
-      url = urlObj.toString();
-    }
-  } catch (e) {
-    console.error('Error parsing URL:', e);
+  ({ url, apiKey } = extractApiKeyFromUrl(url, apiKey));
+
+  if (apiKey && apiKey !== endpoints[idx].apiKey && isKeyVaultLocked()) {
+    alert('Unlock the key vault before changing API keys.');
+    return;
   }
 
   endpoints[idx].label = label;
   endpoints[idx].url = url;
   endpoints[idx].apiKey = apiKey;
+  endpoints[idx].authMode = AUTH_MODES[authMode] ? authMode : 'query';
+  if (endpoints[idx].isDefault) endpoints[idx].overridden = true;
 
   editingEndpointIndex = null;
   saveRpcEndpoints();
@@ -400,23 +610,18 @@ export function removeEndpoint(idx) {
 
 /**
  * Add new custom endpoint
+ * @param {string} label - Display name
+ * @param {string} url - RPC URL
+ * @param {string} apiKey - API key (optional)
+ * @param {string} [authMode='query'] - How the API key is sent (see AUTH_MODES)
  */
-export function addCustomEndpoint(label, url, apiKey) {
+export function addCustomEndpoint(label, url, apiKey, authMode = 'query') {
   // Auto-extract API key from URL if present
-  if (url.includes('api-key=') || url.includes('apikey=')) {
-    try {
-      const urlObj = new URL(url);
-      const keyFromUrl = urlObj.searchParams.get('api-key') || urlObj.searchParams.get('apikey');
-      if (keyFromUrl && !apiKey) {
-        apiKey = keyFromUrl;
-        // Remove API key from URL to store separately
-        urlObj.searchParams.delete('api-key');
-        urlObj.searchParams.delete('apikey');
-        url = urlObj.toString();
-      }
-    } catch (e) {
-      console.error('Error parsing URL:', e);
-    }
+  ({ url, apiKey } = extractApiKeyFromUrl(url, apiKey));
+
+  if (apiKey && isKeyVaultLocked()) {
+    alert('Unlock the key vault before adding an endpoint with an API key.');
+    return;
   }
 
   const cluster = getCurrentCluster();
@@ -425,6 +630,7 @@ export function addCustomEndpoint(label, url, apiKey) {
     label,
     url,
     apiKey,
+    authMode: AUTH_MODES[authMode] ? authMode : 'query',
     enabled: true,
     isDefault: false
   };
@@ -444,7 +650,7 @@ export function resetEndpointsToDefaults() {
   const cluster = getCurrentCluster();
   if (confirm(`Reset all endpoints for ${cluster} to defaults? This will remove all custom endpoints for this cluster.`)) {
     // Use config.json defaults if available, otherwise empty array fallback
-    const defaults = loadedConfig ? loadedConfig.rpc[cluster] : DEFAULT_RPC_ENDPOINTS[cluster];
+    const defaults = loadedConfig?.rpc[cluster] ?? DEFAULT_RPC_ENDPOINTS[cluster] ?? [];
     userRpcEndpoints[cluster] = JSON.parse(JSON.stringify(defaults));
     primaryEndpointByCluster[cluster] = null;
     saveRpcEndpoints();
@@ -458,7 +664,7 @@ export function resetEndpointsToDefaults() {
  */
 export function updateConsensusThreshold(value) {
   const val = parseInt(value, 10);
-  if (val >= 1 && val <= 10) {
+  if (val >= MIN_CONSENSUS_THRESHOLD && val <= MAX_CONSENSUS_THRESHOLD) {
     minConsensusThreshold = val;
     saveRpcEndpoints();
     renderEndpointsList();
@@ -472,3 +678,97 @@ export function updateConsensusThreshold(value) {
 export function updateCurrentCluster() {
   currentCluster = getCurrentCluster();
 }
+
+/**
+ * Whether API keys are in the vault and it has not been unlocked yet
+ * @returns {boolean}
+ */
+export function isKeyVaultLocked() {
+  return isVaultEnabled() && !isVaultUnlocked();
+}
+
+/**
+ * Show the vault state and the buttons that apply to it
+ */
+export function renderVaultStatus() {
+  const status = document.getElementById('vault-status');
+  if (!status) return;
+  const enabled = isVaultEnabled();
+  const locked = isKeyVaultLocked();
+
+  status.className = `text-xs ${locked ? 'text-yellow-400' : enabled ? 'text-green-400' : 'text-slate-400'}`;
+  status.textContent = locked
+    ? '🔒 API keys are encrypted. Enter the passphrase to unlock them for this session.'
+    : enabled
+      ? '🔓 API keys are stored encrypted and unlocked for this session.'
+      : 'API keys are stored in plain text in this browser. Set a passphrase to encrypt them.';
+
+  document.getElementById('vault-unlock-btn').style.display = locked ? 'inline-block' : 'none';
+  document.getElementById('vault-enable-btn').style.display = enabled ? 'none' : 'inline-block';
+  document.getElementById('vault-disable-btn').style.display = enabled && !locked ? 'inline-block' : 'none';
+  document.getElementById('vault-passphrase').style.display = enabled && !locked ? 'none' : 'block';
+}
+
+/**
+ * Encrypt the stored API keys with a new passphrase
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<boolean>} True if the vault was created
+ */
+export async function enableKeyVault(passphrase) {
+  try {
+    await createVault(passphrase, collectApiKeys());
+  } catch (e) {
+    log(`Could not set up the key vault: ${e?.message || String(e)}`, 'error');
+    return false;
+  }
+  saveRpcEndpoints();
+  renderVaultStatus();
+  log('🔒 RPC API keys are now stored encrypted. You will be asked for the passphrase after each reload.', 'success');
+  return true;
+}
+
+/**
+ * Unlock the vault and apply its API keys to the endpoints
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<boolean>} True if unlocked
+ */
+export async function unlockKeyVault(passphrase) {
+  let keys;
+  try {
+    keys = await unlockVault(passphrase);
+  } catch (e) {
+    log(`Could not unlock the key vault: ${e?.message || String(e)}`, 'error');
+    return false;
+  }
+  for (const [cluster, byId] of Object.entries(keys)) {
+    for (const ep of userRpcEndpoints[cluster] || []) {
+      if (byId[ep.id]) ep.apiKey = byId[ep.id];
+    }
+  }
+  refreshSecrets();
+  renderVaultStatus();
+  renderEndpointsList();
+  log('🔓 Key vault unlocked for this session.', 'success');
+  return true;
+}
+
+/**
+ * Remove the vault and store the API keys in plain text again
+ * @returns {Promise<boolean>} True if removed
+ */
+export async function disableKeyVault() {
+  if (isKeyVaultLocked()) {
+    log('Unlock the key vault before removing it.', 'error');
+    return false;
+  }
+  if (!confirm('Remove the key vault? API keys will be stored in plain text in this browser again.')) {
+    return false;
+  }
+  // Let pending writes finish so they cannot recreate the vault
+  await vaultWrite;
+  removeVault();
+  saveRpcEndpoints();
+  renderVaultStatus();
+  log('Key vault removed. API keys are stored in plain text.', 'warning');
+  return true;
+}
@@ -0,0 +1,272 @@
+/**
+ * rpc-health.js - RPC endpoint health checks and transport error tracking
+ *
+ * Connections created here count every request per endpoint, so the health
+ * panel can show live error rates and the sender can fail over when its
+ * primary keeps failing. "Check health" benchmarks each endpoint's latency
+ * and how far its slot lags behind the other endpoints, and compares its
+ * genesis hash with the cluster's so endpoints of another cluster are caught.
+ */
+
+import { Connection } from 'https://esm.sh/@solana/web3.js@1.95.3';
+import { buildEndpointUrl, buildEndpointHeaders } from './rpc-config.js';
+import { redact } from './redact.js';
+import { escapeHtml } from './ui.js';
+
+// Requests that take longer than this count as transport errors
+export const RPC_TIMEOUT_MS = 30_000;
+
+// Consecutive transport errors after which an endpoint is treated as down
+export const FAILOVER_ERROR_THRESHOLD = 3;
+
+// Slots an endpoint may lag behind the most advanced one and still count as healthy
+export const MAX_HEALTHY_SLOT_LAG = 50;
+
+// Error rate above which an endpoint counts as degraded
+const DEGRADED_ERROR_RATE = 0.2;
+
+// getSlot calls per endpoint when benchmarking
+const BENCHMARK_PROBES = 3;
+
+// Endpoint ID -> { requests, errors, consecutiveErrors, lastError, latencyMs, slot, slotLag, checkedAt, genesisHash, wrongCluster }
+const endpointStats = new Map();
+
+/**
+ * Stats of an endpoint, created on first use
+ */
+function statsFor(endpointId) {
+  if (!endpointStats.has(endpointId)) {
+    endpointStats.set(endpointId, {
+      requests: 0,
+      errors: 0,
+      consecutiveErrors: 0,
+      lastError: null,
+      latencyMs: null,
+      slot: null,
+      slotLag: null,
+      checkedAt: null,
+      genesisHash: null,
+      wrongCluster: false
+    });
+  }
+  return endpointStats.get(endpointId);
+}
+
+/**
+ * Whether an HTTP status means the provider is refusing or failing requests
+ */
+function isTransportFailureStatus(status) {
+  return status === 401 || status === 403 || status === 429 || status >= 500;
+}
+
+/**
+ * Create a connection whose requests are counted in the endpoint's health stats.
+ * The API key is sent the way the endpoint's auth mode asks for (URL or headers).
+ * @param {Object} endpoint - Endpoint configuration
+ * @param {Object} [opts]
+ * @param {string} [opts.commitment='confirmed'] - Default commitment
+ * @param {boolean} [opts.disableRetryOnRateLimit=false] - Fail on 429 instead of backing off
+ * @param {Function} [opts.onTransportError] - Called with (consecutiveErrors, reason) after each transport error
+ * @returns {Connection} Monitored connection
+ */
+export function createMonitoredConnection(endpoint, { commitment = 'confirmed', disableRetryOnRateLimit = false, onTransportError } = {}) {
+  const recordError = (reason) => {
+    const stats = statsFor(endpoint.id);
+    stats.errors++;
+    stats.consecutiveErrors++;
+    stats.lastError = reason;
+    onTransportError?.(stats.consecutiveErrors, reason);
+  };
+
+  const monitoredFetch = async (url, init) => {
+    const stats = statsFor(endpoint.id);
+    stats.requests++;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), RPC_TIMEOUT_MS);
+    try {
+      const res = await fetch(url, { ...init, signal: controller.signal });
+      if (isTransportFailureStatus(res.status)) {
+        recordError(`HTTP ${res.status}`);
+      } else {
+        stats.consecutiveErrors = 0;
+      }
+      return res;
+    } catch (e) {
+      recordError(e?.name === 'AbortError' ? `timeout after ${RPC_TIMEOUT_MS / 1000}s` : (e?.message || String(e)));
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return new Connection(buildEndpointUrl(endpoint), {
+    commitment,
+    disableRetryOnRateLimit,
+    httpHeaders: buildEndpointHeaders(endpoint),
+    fetch: monitoredFetch
+  });
+}
+
+/**
+ * Measure one endpoint's latency and current slot
+ */
+async function benchmarkEndpoint(endpoint) {
+  const conn = createMonitoredConnection(endpoint, { disableRetryOnRateLimit: true });
+  const stats = statsFor(endpoint.id);
+  const latencies = [];
+  let slot = null;
+
+  for (let i = 0; i < BENCHMARK_PROBES; i++) {
+    const started = performance.now();
+    try {
+      slot = await conn.getSlot('confirmed');
+      latencies.push(performance.now() - started);
+    } catch (e) {
+      stats.lastError = e?.message || String(e);
+    }
+  }
+
+  latencies.sort((a, b) => a - b);
+  stats.latencyMs = latencies.length ? Math.round(latencies[Math.floor(latencies.length / 2)]) : null;
+  stats.slot = slot;
+  stats.checkedAt = Date.now();
+}
+
+/**
+ * Benchmark endpoints in parallel and compute their slot lag
+ * @param {Array} endpoints - Endpoint configurations
+ */
+export async function checkEndpointsHealth(endpoints) {
+  await Promise.all(endpoints.map(benchmarkEndpoint));
+
+  const slots = endpoints.map(ep => statsFor(ep.id).slot).filter(s => s != null);
+  const maxSlot = slots.length ? Math.max(...slots) : null;
+  for (const ep of endpoints) {
+    const stats = statsFor(ep.id);
+    stats.slotLag = stats.slot != null && maxSlot != null ? maxSlot - stats.slot : null;
+  }
+}
+
+/**
+ * Check that endpoints serve the expected cluster by comparing their genesis hashes.
+ * Without a known hash (e.g. localnet), the hash most endpoints report is taken
+ * as the cluster's, in list order on a tie.
+ * @param {Array} endpoints - Endpoint configurations
+ * @param {string|null} expectedHash - Genesis hash of the cluster, if known
+ * @returns {Promise<{genesisHash: string|null, mismatched: Array, unreachable: Array}>}
+ *   Hash the endpoints were checked against, endpoints of another cluster ({endpoint, genesisHash})
+ *   and endpoints that could not be queried
+ */
+export async function verifyEndpointsGenesis(endpoints, expectedHash) {
+  await Promise.all(endpoints.map(async (endpoint) => {
+    const stats = statsFor(endpoint.id);
+    try {
+      const conn = createMonitoredConnection(endpoint, { disableRetryOnRateLimit: true });
+      stats.genesisHash = await conn.getGenesisHash();
+    } catch (e) {
+      stats.genesisHash = null;
+      stats.lastError = e?.message || String(e);
+    }
+  }));
+
+  let reference = expectedHash || null;
+  if (!reference) {
+    const counts = new Map();
+    for (const ep of endpoints) {
+      const hash = statsFor(ep.id).genesisHash;
+      if (hash) counts.set(hash, (counts.get(hash) || 0) + 1);
+    }
+    for (const [hash, count] of counts) {
+      if (!reference || count > counts.get(reference)) reference = hash;
+    }
+  }
+
+  const mismatched = [];
+  const unreachable = [];
+  for (const ep of endpoints) {
+    const stats = statsFor(ep.id);
+    stats.wrongCluster = stats.genesisHash != null && stats.genesisHash !== reference;
+    if (stats.wrongCluster) mismatched.push({ endpoint: ep, genesisHash: stats.genesisHash });
+    if (stats.genesisHash == null) unreachable.push(ep);
+  }
+  return { genesisHash: reference, mismatched, unreachable };
+}
+
+/**
+ * Health of an endpoint from its last check and the requests made through it since
+ * @param {string} endpointId - Endpoint ID
+ * @returns {string} 'unknown', 'healthy', 'degraded', 'down' or 'wrong cluster'
+ */
+export function getEndpointHealth(endpointId) {
+  const stats = endpointStats.get(endpointId);
+  if (!stats) return 'unknown';
+  if (stats.wrongCluster) return 'wrong cluster';
+  if (stats.consecutiveErrors >= FAILOVER_ERROR_THRESHOLD) return 'down';
+  if (stats.checkedAt && stats.latencyMs == null) return 'down';
+  const errorRate = stats.requests ? stats.errors / stats.requests : 0;
+  if (errorRate > DEGRADED_ERROR_RATE || (stats.slotLag ?? 0) > MAX_HEALTHY_SLOT_LAG) return 'degraded';
+  return stats.checkedAt || stats.requests ? 'healthy' : 'unknown';
+}
+
+/**
+ * Whether an endpoint can be failed over to
+ * @param {string} endpointId - Endpoint ID
+ * @returns {boolean} False if the endpoint is known to be down or on another cluster
+ */
+export function isEndpointUsable(endpointId) {
+  const health = getEndpointHealth(endpointId);
+  return health !== 'down' && health !== 'wrong cluster';
+}
+
+/**
+ * Render the health panel for a cluster's endpoints
+ * @param {Array} endpoints - Endpoint configurations
+ * @param {string|null} activeId - ID of the endpoint currently used for sending
+ */
+export function renderHealthPanel(endpoints, activeId) {
+  const container = document.getElementById('rpc-health-list');
+  if (!container) return;
+  if (endpoints.length === 0) {
+    container.innerHTML = '<p class="text-slate-400 text-xs">No endpoints configured for this cluster.</p>';
+    return;
+  }
+
+  const badge = {
+    unknown: 'bg-slate-600',
+    healthy: 'bg-green-600',
+    degraded: 'bg-yellow-600',
+    down: 'bg-red-600',
+    'wrong cluster': 'bg-red-800'
+  };
+  container.innerHTML = `
+    <table class="w-full text-xs">
+      <thead class="text-slate-400">
+        <tr>
+          <th class="text-left pr-2 py-1">Endpoint</th>
+          <th class="text-right pr-2 py-1">Latency</th>
+          <th class="text-right pr-2 py-1">Slot lag</th>
+          <th class="text-right pr-2 py-1">Errors</th>
+          <th class="text-left py-1">Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${endpoints.map(ep => {
+          const stats = endpointStats.get(ep.id);
+          const health = getEndpointHealth(ep.id);
+          const errorRate = stats?.requests ? `${Math.round((stats.errors / stats.requests) * 100)}% of ${stats.requests}` : '–';
+          return `
+            <tr class="border-t border-slate-700" title="${escapeHtml(stats?.wrongCluster ? `Genesis hash ${stats.genesisHash} belongs to another cluster` : redact(stats?.lastError || ''))}">
+              <td class="pr-2 py-1 truncate ${ep.enabled ? 'text-white' : 'text-slate-500'}">
+                ${escapeHtml(ep.label)}${ep.id === activeId ? ' <span class="bg-indigo-600 text-white px-1 rounded">Active</span>' : ''}
+              </td>
+              <td class="text-right pr-2 py-1">${stats?.latencyMs != null ? `${stats.latencyMs} ms` : '–'}</td>
+              <td class="text-right pr-2 py-1">${stats?.slotLag != null ? stats.slotLag : '–'}</td>
+              <td class="text-right pr-2 py-1">${errorRate}</td>
+              <td class="py-1"><span class="${badge[health]} text-white px-1 rounded">${health}</span></td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
@@ -0,0 +1,155 @@
+/**
+ * token-extensions.js - Token-2022 mint and account extension handling
+ *
+ * Inspects a mint's extensions before anything is sent and builds transfer
+ * instructions that satisfy them: checked-with-fee transfers for transfer-fee
+ * mints, memos for accounts that require incoming memos, and extra accounts
+ * for transfer hooks. Non-transferable mints are refused up front.
+ */
+
+import { PublicKey, TransactionInstruction } from 'https://esm.sh/@solana/web3.js@1.95.3';
+import {
+  AccountState,
+  ExtensionType,
+  getExtensionTypes,
+  getTransferFeeConfig,
+  getEpochFee,
+  calculateFee,
+  getTransferHook,
+  getNonTransferable,
+  getDefaultAccountState,
+  getMemoTransfer,
+  unpackAccount,
+  addExtraAccountMetasForExecute,
+  createTransferCheckedInstruction,
+  createTransferCheckedWithFeeInstruction
+} from 'https://esm.sh/@solana/spl-token@0.4.6';
+import { Buffer } from 'https://esm.sh/buffer@6.0.3';
+
+// SPL Memo program
+export const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+// Memo added for destination accounts that require one
+export const DEFAULT_REQUIRED_MEMO = 'Multisender payout';
+
+/**
+ * Inspect the extensions of a mint
+ * @param {Object} mintInfo - Mint from getMint
+ * @param {boolean} token2022 - Whether the mint belongs to Token-2022
+ * @returns {{names: string[], transferFeeConfig: Object|null, transferHookProgramId: PublicKey|null, blockers: string[], warnings: string[]}}
+ *   Extension names, the settings that change how transfers are built, reasons the mint can't be sent, and caveats
+ */
+export function inspectMintExtensions(mintInfo, token2022) {
+  const result = { names: [], transferFeeConfig: null, transferHookProgramId: null, blockers: [], warnings: [] };
+  if (!token2022 || !mintInfo.tlvData?.length) return result;
+
+  result.names = getExtensionTypes(mintInfo.tlvData).map(type => ExtensionType[type] ?? `Unknown(${type})`);
+  result.transferFeeConfig = getTransferFeeConfig(mintInfo);
+
+  const hook = getTransferHook(mintInfo);
+  if (hook && !hook.programId.equals(PublicKey.default)) {
+    result.transferHookProgramId = hook.programId;
+  }
+
+  if (getNonTransferable(mintInfo)) {
+    result.blockers.push('This mint is non-transferable (soulbound). Its tokens cannot be sent to other wallets.');
+  }
+  if (getDefaultAccountState(mintInfo)?.state === AccountState.Frozen) {
+    result.warnings.push('New token accounts for this mint start frozen (DefaultAccountState), so transfers to recipients without a thawed account will fail.');
+  }
+  return result;
+}
+
+/**
+ * Transfer fee charged on an amount in the given epoch
+ * @param {Object|null} transferFeeConfig - From inspectMintExtensions
+ * @param {bigint} epoch - Current epoch
+ * @param {bigint} amount - Amount debited from the sender
+ * @returns {bigint} Fee withheld from the recipient
+ */
+export function transferFeeFor(transferFeeConfig, epoch, amount) {
+  if (!transferFeeConfig) return 0n;
+  return calculateFee(getEpochFee(transferFeeConfig, epoch), amount);
+}
+
+/**
+ * Smallest amount to send so the recipient receives at least a net amount after the transfer fee
+ * @param {Object|null} transferFeeConfig - From inspectMintExtensions
+ * @param {bigint} epoch - Current epoch
+ * @param {bigint} net - Amount the recipient should receive
+ * @returns {bigint} Amount to debit from the sender
+ */
+export function grossUpForFee(transferFeeConfig, epoch, net) {
+  if (!transferFeeConfig) return net;
+  const { transferFeeBasisPoints, maximumFee } = getEpochFee(transferFeeConfig, epoch);
+  const bps = BigInt(transferFeeBasisPoints);
+  if (bps === 0n) return net;
+
+  // Start from the uncapped estimate (or net + the cap, whichever is lower), then correct for rounding
+  let gross = bps >= 10_000n ? net + BigInt(maximumFee) : (net * 10_000n + (10_000n - bps) - 1n) / (10_000n - bps);
+  if (gross > net + BigInt(maximumFee)) gross = net + BigInt(maximumFee);
+  while (gross - transferFeeFor(transferFeeConfig, epoch, gross) < net) gross++;
+  while (gross > net && gross - 1n - transferFeeFor(transferFeeConfig, epoch, gross - 1n) >= net) gross--;
+  return gross;
+}
+
+/**
+ * Whether an existing token account requires a memo on incoming transfers
+ * @param {PublicKey} address - Token account address
+ * @param {Object|null} accountInfo - Account info, or null if it doesn't exist yet
+ * @param {PublicKey} programId - Token program
+ * @returns {boolean} True if a memo must precede transfers into it
+ */
+export function accountRequiresMemo(address, accountInfo, programId) {
+  if (!accountInfo || !accountInfo.data?.length) return false;
+  try {
+    const account = unpackAccount(address, accountInfo, programId);
+    return !!getMemoTransfer(account)?.requireIncomingTransferMemos;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build an SPL Memo instruction
+ * @param {string} text - Memo text
+ * @returns {TransactionInstruction} Memo instruction
+ */
+export function createMemoInstruction(text) {
+  return new TransactionInstruction({
+    programId: MEMO_PROGRAM_ID,
+    keys: [],
+    data: Buffer.from(text, 'utf8')
+  });
+}
+
+/**
+ * Build a checked token transfer that satisfies the mint's fee and hook extensions
+ * @param {Connection} connection - RPC connection (used to resolve transfer hook accounts)
+ * @param {Object} params
+ * @param {PublicKey} params.source - Sender token account
+ * @param {PublicKey} params.mint - Mint
+ * @param {PublicKey} params.destination - Destination token account
+ * @param {PublicKey} params.owner - Sender wallet
+ * @param {bigint} params.amount - Amount debited from the sender
+ * @param {number} params.decimals - Mint decimals
+ * @param {PublicKey} params.programId - Token program
+ * @param {Object} params.extensions - From inspectMintExtensions
+ * @param {bigint} params.epoch - Current epoch (for transfer fees)
+ * @returns {Promise<TransactionInstruction>} Transfer instruction
+ */
+export async function buildTokenTransferInstruction(connection, { source, mint, destination, owner, amount, decimals, programId, extensions, epoch }) {
+  const ix = extensions?.transferFeeConfig
+    ? createTransferCheckedWithFeeInstruction(
+      source, mint, destination, owner, amount, decimals,
+      transferFeeFor(extensions.transferFeeConfig, epoch, amount), [], programId
+    )
+    : createTransferCheckedInstruction(source, mint, destination, owner, amount, decimals, [], programId);
+
+  if (extensions?.transferHookProgramId) {
+    await addExtraAccountMetasForExecute(
+      connection, ix, extensions.transferHookProgramId, source, mint, destination, owner, amount, 'confirmed'
+    );
+  }
+  return ix;
+}
@@ -2,23 +2,83 @@
  * transactions.js - Transaction building, sending, and verification
  */
 
-import { Connection, PublicKey, Transaction } from 'https://esm.sh/@solana/web3.js@1.95.3';
+import { Connection, PublicKey, SystemProgram, Transaction, TransactionMessage, VersionedTransaction } from 'https://esm.sh/@solana/web3.js@1.95.3';
 import {
   getMint,
+  getAccountLenForMint,
   getAssociatedTokenAddress,
   createAssociatedTokenAccountInstruction,
-  createTransferCheckedInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
   TOKEN_PROGRAM_ID,
   TOKEN_2022_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID,
 } from 'https://esm.sh/@solana/spl-token@0.4.6';
+import bs58 from 'https://esm.sh/bs58@5.0.0';
 
 import { getWallet, getProvider } from './wallet.js';
-import { log, elements, progressState, updateProgress, formatAmount } from './ui.js';
+import { log, progressState, updateProgress, formatAmount } from './ui.js';
+import { validateRecipients, renderValidationReport } from './recipients.js';
+import {
+  buildPreflightReport,
+  renderPreflightReport,
+  logPreflightReport,
+  awaitPreflightDecision
+} from './preflight.js';
+import {
+  beginCampaign,
+  saveActiveCampaign,
+  setCampaignStatus,
+  getCampaign,
+  restoreCampaignProgress,
+  recipientsMatchCampaign
+} from './campaigns.js';
+import { recordReceipt, summarizeConsensus } from './receipts.js';
+import { pollConfirmation, confirmSignature } from './confirm.js';
+import {
+  MAX_COMPUTE_UNITS,
+  AUTO_BATCH_COMPUTE_BUDGET,
+  normalizePriorityFeeSettings,
+  resolvePriorityFee,
+  computeUnitLimitFromSimulation,
+  estimateComputeUnits,
+  computeBudgetInstructions,
+  priorityFeeLamports
+} from './fees.js';
+import {
+  planLookupTables,
+  lookupTableSize,
+  cleanupTransactionCount,
+  createCampaignLookupTables,
+  fetchActiveLookupTable,
+  closeLookupTables
+} from './lookup-tables.js';
+import {
+  DEFAULT_REQUIRED_MEMO,
+  inspectMintExtensions,
+  transferFeeFor,
+  grossUpForFee,
+  accountRequiresMemo,
+  createMemoInstruction,
+  buildTokenTransferInstruction
+} from './token-extensions.js';
+import { formBatches, serializedTxSize, MAX_TRANSACTION_SIZE } from './tx-size.js';
+import { redact } from './redact.js';
+import {
+  createMonitoredConnection,
+  isEndpointUsable,
+  renderHealthPanel,
+  verifyEndpointsGenesis,
+  FAILOVER_ERROR_THRESHOLD
+} from './rpc-health.js';
+import { resetAtaCache, deriveAta, loadDestinationAtas, getCachedAta, markAtasCreated } from './ata-cache.js';
 import { 
   getEnabledEndpoints, 
-  buildEndpointUrl, 
   getCurrentCluster, 
+  getClusterDefinition,
+  explorerTxUrl,
+  getCommitmentSettings,
+  reachesCommitment,
+  clusters,
   minConsensusThreshold 
 } from './rpc-config.js';
 
@@ -46,12 +106,48 @@ export function isAbortRequested() {
   return abortRequested;
 }
 
+// Native SOL amounts are entered in SOL and sent in lamports
+const NATIVE_SOL_DECIMALS = 9;
+
+// Blocks of headroom required before a pre-signed transaction's blockhash expires
+const BLOCKHASH_EXPIRY_MARGIN = 10;
+
+// Times a batch whose transaction expired is resent with a fresh blockhash before it counts as failed
+const MAX_EXPIRED_RESENDS = 3;
+
 // Connection state
 export let connection = null;
+// Endpoint the connection was created for (null when using the cluster dropdown URL)
+export let primaryEndpoint = null;
+// All configured endpoints of the current cluster, shown in the health panel
+let clusterEndpoints = [];
+// Epoch schedule of the cluster, used to find the transfer fee in effect at a slot
+let epochSchedule = null;
+export let assetMode = 'spl';
 export let mintPubkey = null;
 export let tokenProgramId = TOKEN_PROGRAM_ID;
 export let decimals = 0;
 export let senderAta = null;
+export let tokenAccountSize = 0;
+export let priorityFeeSettings = normalizePriorityFeeSettings();
+export let txVersion = 'legacy';
+
+// Token-2022 extensions of the current mint (see token-extensions.js)
+let mintExtensions = inspectMintExtensions({}, false);
+// Send amount + transfer fee so recipients receive the exact amount
+let grossUpTransferFees = false;
+// Memo for transfers whose recipient line has none
+let campaignMemo = '';
+
+// Lookup tables used to compile v0 batch transactions
+let lookupTableAccounts = [];
+
+// Batches sent and confirmed at the same time
+let maxInFlight = 1;
+export const MAX_IN_FLIGHT = 10;
+
+// Wallet prompts are opened one at a time, even while several batches are in flight
+let walletPrompt = Promise.resolve();
 
 /**
  * Initialize connection with primary endpoint
@@ -59,6 +155,8 @@ export let senderAta = null;
 export function initializeConnection(userRpcEndpoints, primaryEndpointByCluster) {
   const cluster = getCurrentCluster();
   const endpoints = userRpcEndpoints[cluster] || [];
+  clusterEndpoints = endpoints;
+  epochSchedule = null;
   
   // Find primary endpoint
   const primaryId = primaryEndpointByCluster[cluster];
@@ -79,19 +177,89 @@ export function initializeConnection(userRpcEndpoints, primaryEndpointByCluster)
   }
   
   if (selectedEndpoint) {
-    const url = buildEndpointUrl(selectedEndpoint);
-    connection = new Connection(url, 'confirmed');
+    connectToEndpoint(selectedEndpoint);
     log(`Primary RPC set to: ${selectedEndpoint.label}`, 'info');
   } else {
-    // No endpoints configured, fall back to dropdown selection
-    const dropdownUrl = elements.clusterSelect.value;
-    connection = new Connection(dropdownUrl, 'confirmed');
-    log(`Using default RPC from dropdown: ${dropdownUrl}`, 'info');
+    // No endpoints configured, fall back to the cluster's default RPC
+    const clusterUrl = getClusterDefinition(cluster).url;
+    connection = new Connection(clusterUrl, 'confirmed');
+    primaryEndpoint = null;
+    log(`Using default RPC for ${getClusterDefinition(cluster).label}: ${clusterUrl}`, 'info');
   }
+  renderHealthPanel(clusterEndpoints, primaryEndpoint?.id ?? null);
   
   return connection;
 }
 
+/**
+ * Point the primary connection at an endpoint, failing over when it keeps erroring
+ */
+function connectToEndpoint(endpoint) {
+  primaryEndpoint = endpoint;
+  connection = createMonitoredConnection(endpoint, {
+    onTransportError: (consecutiveErrors, reason) => failOverFrom(endpoint, consecutiveErrors, reason)
+  });
+}
+
+/**
+ * Switch the primary connection to the next healthy enabled endpoint after
+ * repeated transport errors (403, 429, 5xx, timeouts, network failures).
+ * Requests already in flight finish on the old endpoint; everything after
+ * uses the new one. The saved primary selection is left unchanged.
+ */
+function failOverFrom(endpoint, consecutiveErrors, reason) {
+  if (endpoint !== primaryEndpoint || consecutiveErrors < FAILOVER_ERROR_THRESHOLD) return;
+
+  const enabled = getEnabledEndpoints();
+  const start = enabled.findIndex(ep => ep.id === endpoint.id);
+  const next = [...enabled.slice(start + 1), ...enabled.slice(0, Math.max(start, 0))]
+    .find(ep => ep.id !== endpoint.id && isEndpointUsable(ep.id));
+
+  if (!next) {
+    // Warn once per run of errors instead of on every failed request
+    if (consecutiveErrors === FAILOVER_ERROR_THRESHOLD) {
+      log(`⚠️ Primary RPC ${endpoint.label} is failing (${reason}) and no other healthy endpoint is enabled to fail over to.`, 'warning');
+    }
+    return;
+  }
+
+  log(`⚠️ Primary RPC ${endpoint.label} failed ${consecutiveErrors} times in a row (${reason}). Failing over to ${next.label}.`, 'warning');
+  connectToEndpoint(next);
+  renderHealthPanel(clusterEndpoints, next.id);
+}
+
+/**
+ * Check the genesis hash of the primary and every enabled endpoint against the selected cluster
+ * @returns {Promise<boolean>} False if an endpoint belongs to another cluster
+ */
+async function verifyClusterEndpoints() {
+  const cluster = getClusterDefinition();
+  const endpoints = [...getEnabledEndpoints()];
+  if (primaryEndpoint && !endpoints.some(ep => ep.id === primaryEndpoint.id)) {
+    endpoints.push(primaryEndpoint);
+  }
+  if (endpoints.length === 0) return true;
+
+  const { genesisHash, mismatched, unreachable } = await verifyEndpointsGenesis(endpoints, cluster.genesisHash);
+  renderHealthPanel(clusterEndpoints, primaryEndpoint?.id ?? null);
+
+  for (const ep of unreachable) {
+    log(`⚠️ Could not read the genesis hash of ${ep.label}; its cluster is not verified.`, 'warning');
+  }
+  if (mismatched.length > 0) {
+    for (const { endpoint, genesisHash: seen } of mismatched) {
+      const actual = Object.values(clusters).find(c => c.genesisHash === seen);
+      log(`⛔ ${endpoint.label} (${endpoint.url}) is not a ${cluster.label} endpoint: its genesis hash ${seen}${actual ? ` belongs to ${actual.label}` : ''}.`, 'error');
+    }
+    log('Fix or disable these endpoints in the RPC manager before sending. Nothing was sent.', 'error');
+    return false;
+  }
+  if (genesisHash) {
+    log(`✓ ${endpoints.length - unreachable.length} endpoint(s) verified on ${cluster.label} (genesis ${genesisHash})`, 'info');
+  }
+  return true;
+}
+
 /**
  * Get current connection
  */
@@ -100,13 +268,96 @@ export function getConnection() {
 }
 
 /**
- * Verify transaction signature on a single RPC endpoint at 'finalized' commitment level
+ * Net amount each destination account should have received from a batch, in base units.
+ * Transfer fees are taken at the epoch of the slot the transaction landed in.
+ * @param {Array} batch - Recipients paid by the transaction
+ * @param {number} slot - Slot the transaction landed in
+ * @returns {Promise<Map<string, bigint>>} Destination account -> expected balance increase
+ */
+async function expectedBalanceChanges(batch, slot) {
+  let epoch = 0n;
+  if (mintExtensions.transferFeeConfig) {
+    epochSchedule = epochSchedule || await connection.getEpochSchedule();
+    epoch = BigInt(epochSchedule.getEpoch(slot));
+  }
+
+  const expected = new Map();
+  for (const r of batch) {
+    let account = r.address.toString();
+    let amount = r.amount;
+    if (assetMode === 'spl') {
+      account = deriveAta(r.address).toString();
+      const debited = transferAmountFor(r, epoch);
+      amount = debited - transferFeeFor(mintExtensions.transferFeeConfig, epoch, debited);
+    }
+    expected.set(account, (expected.get(account) ?? 0n) + amount);
+  }
+
+  // Paying yourself nets out against the amount sent (and the fee), so it can't be compared
+  expected.delete(getWallet().toString());
+  if (senderAta) expected.delete(senderAta.toString());
+  return expected;
+}
+
+/**
+ * Balance change of every account a transaction touched, read from its metadata
+ * @param {Object} tx - Transaction from getTransaction
+ * @returns {Map<string, bigint>} Account -> balance change (token amount of the current mint, or lamports)
  */
-async function verifyTransactionOnEndpoint(signature, endpoint) {
-  const fullUrl = buildEndpointUrl(endpoint);
+function observedBalanceChanges(tx) {
+  const { meta } = tx;
+  const keys = tx.transaction.message.getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses });
+  const changes = new Map();
+  const add = (index, delta) => {
+    const account = keys.get(index)?.toString();
+    if (account) changes.set(account, (changes.get(account) ?? 0n) + delta);
+  };
+
+  if (assetMode === 'sol') {
+    meta.postBalances.forEach((post, i) => add(i, BigInt(post) - BigInt(meta.preBalances[i])));
+    return changes;
+  }
+  // Accounts created by the transaction have no pre balance, which counts as 0
+  const mint = mintPubkey.toString();
+  for (const b of meta.postTokenBalances || []) {
+    if (b.mint === mint) add(b.accountIndex, BigInt(b.uiTokenAmount.amount));
+  }
+  for (const b of meta.preTokenBalances || []) {
+    if (b.mint === mint) add(b.accountIndex, -BigInt(b.uiTokenAmount.amount));
+  }
+  return changes;
+}
+
+/**
+ * Check on one endpoint that a transaction moved exactly the intended amounts
+ * @param {Connection} conn - Connection to the endpoint
+ * @param {string} signature - Transaction signature
+ * @param {Array} batch - Recipients paid by the transaction
+ * @returns {Promise<{ok: boolean, mismatches: Array, error?: string}>} mismatches lists
+ *   {account, expected, observed} for every destination whose change differs
+ */
+async function verifyBalanceChanges(conn, signature, batch) {
+  const tx = await conn.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+  if (!tx?.meta) return { ok: false, mismatches: [], error: 'Transaction details not available from this endpoint' };
+
+  const expected = await expectedBalanceChanges(batch, tx.slot);
+  const observed = observedBalanceChanges(tx);
+  const mismatches = [];
+  for (const [account, amount] of expected) {
+    const seen = observed.get(account) ?? 0n;
+    if (seen !== amount) mismatches.push({ account, expected: amount, observed: seen });
+  }
+  return { ok: mismatches.length === 0, mismatches };
+}
+
+/**
+ * Verify transaction signature on a single RPC endpoint at 'finalized' commitment level,
+ * and when the batch is given, that its balance changes match the intended amounts
+ */
+export async function verifyTransactionOnEndpoint(signature, endpoint, batch = null) {
   try {
-    // Create a temporary connection to this endpoint
-    const conn = new Connection(fullUrl, 'finalized');
+    // Create a temporary connection to this endpoint, counted in its health stats
+    const conn = createMonitoredConnection(endpoint, { commitment: 'finalized' });
     
     // Query the signature status with finalized commitment
     const status = await conn.getSignatureStatus(signature, {
@@ -132,6 +383,26 @@ async function verifyTransactionOnEndpoint(signature, endpoint) {
       };
     }
 
+    if ((confirmationStatus === 'finalized' || confirmationStatus === 'confirmed') && batch) {
+      const balances = await verifyBalanceChanges(conn, signature, batch);
+      if (balances.error) {
+        return {
+          success: false,
+          status: 'no_details',
+          error: balances.error
+        };
+      }
+      if (!balances.ok) {
+        const [first] = balances.mismatches;
+        return {
+          success: false,
+          status: 'mismatch',
+          mismatches: balances.mismatches,
+          error: `${balances.mismatches.length} balance change(s) differ, e.g. ${first.account}: expected +${formatAmount(first.expected, decimals)}, saw ${first.observed < 0n ? '' : '+'}${formatAmount(first.observed, decimals)}`
+        };
+      }
+    }
+
     if (confirmationStatus === 'finalized') {
       return {
         success: true,
@@ -168,7 +439,7 @@ async function verifyTransactionOnEndpoint(signature, endpoint) {
 /**
  * Perform multi-endpoint consensus verification for a transaction
  */
-export async function performConsensusVerification(signature) {
+export async function performConsensusVerification(signature, batch = null) {
   const endpoints = getEnabledEndpoints();
   
   if (endpoints.length === 0) {
@@ -177,7 +448,8 @@ export async function performConsensusVerification(signature) {
       consensusReached: false,
       results: [],
       confirmedCount: 0,
-      totalCount: 0
+      totalCount: 0,
+      disagreeing: []
     };
   }
 
@@ -185,11 +457,11 @@ export async function performConsensusVerification(signature) {
     log(`⚠️ Warning: Only ${endpoints.length} endpoint(s) enabled. Recommend at least 3 for reliable consensus.`, 'warning');
   }
 
-  log(`🔍 Multi-RPC Consensus Verification: Querying ${endpoints.length} endpoint(s)...`, 'info');
+  log(`🔍 Multi-RPC Consensus Verification: Querying ${endpoints.length} endpoint(s)${batch ? ' for status and balance changes' : ''}...`, 'info');
 
   // Query all endpoints in parallel
   const verificationPromises = endpoints.map(async (endpoint) => {
-    const result = await verifyTransactionOnEndpoint(signature, endpoint);
+    const result = await verifyTransactionOnEndpoint(signature, endpoint, batch);
     return {
       endpoint: endpoint.label,
       ...result
@@ -198,9 +470,11 @@ export async function performConsensusVerification(signature) {
 
   const results = await Promise.all(verificationPromises);
   
-  // Count how many endpoints successfully confirmed at finalized level
-  const confirmedCount = results.filter(r => r.success && r.status === 'finalized').length;
+  // Count how many endpoints successfully confirmed at the verification level (with the intended balance changes)
+  const { verification } = getCommitmentSettings();
+  const confirmedCount = results.filter(r => r.success && reachesCommitment(r.status, verification)).length;
   const totalCount = results.length;
+  const disagreeing = results.filter(r => r.status === 'mismatch').map(r => r.endpoint);
   
   // Check if consensus threshold is met
   const consensusReached = confirmedCount >= minConsensusThreshold;
@@ -209,7 +483,9 @@ export async function performConsensusVerification(signature) {
   log(`📊 Consensus Verification Results:`, 'info');
   results.forEach(r => {
     if (r.success) {
-      log(`  ✅ ${r.endpoint}: ${r.status}`, 'success');
+      log(`  ✅ ${r.endpoint}: ${r.status}${batch ? ', balances match' : ''}`, 'success');
+    } else if (r.status === 'mismatch') {
+      log(`  ❗ ${r.endpoint}: balance changes disagree with the intended amounts - ${r.error}`, 'error');
     } else {
       log(`  ❌ ${r.endpoint}: ${r.status} - ${r.error || 'Unknown error'}`, 'warning');
     }
@@ -219,14 +495,18 @@ export async function performConsensusVerification(signature) {
     log(`✅ Consensus Reached: ${confirmedCount}/${totalCount} endpoints confirmed (threshold: ${minConsensusThreshold})`, 'success');
   } else {
     log(`⚠️ Consensus NOT Reached: Only ${confirmedCount}/${totalCount} endpoints confirmed (threshold: ${minConsensusThreshold})`, 'warning');
-    log(`ℹ️ This may indicate network sync delays. Check manually: https://solscan.io/tx/${signature}`, 'warning');
+    log(`ℹ️ This may indicate network sync delays. Check manually: ${explorerTxUrl(signature)}`, 'warning');
+  }
+  if (disagreeing.length > 0) {
+    log(`❗ ${disagreeing.length} endpoint(s) report balance changes that differ from the intended amounts: ${disagreeing.join(', ')}. Check the transaction manually: ${explorerTxUrl(signature)}`, 'error');
   }
 
   return {
     consensusReached,
     results,
     confirmedCount,
-    totalCount
+    totalCount,
+    disagreeing
   };
 }
 
@@ -251,64 +531,326 @@ async function ensureSenderAtaExists() {
     )
   );
   const signed = await provider.signTransaction(tx);
-  const sig = await connection.sendRawTransaction(signed.serialize(), { skipPreflight: false });
+  const raw = signed.serialize();
+  const sig = await connection.sendRawTransaction(raw, { skipPreflight: false });
   log(`Sender ATA creation tx: ${sig}`, 'success');
-  await connection.confirmTransaction({ signature: sig, blockhash, lastValidBlockHeight }, 'finalized');
+  await confirmSignature(connection, sig, { lastValidBlockHeight, commitment: 'finalized', raw });
   log('Sender ATA confirmed.', 'success');
 }
 
+/**
+ * Find recipients whose destination ATA will have to be created.
+ * Loads every destination ATA into the campaign cache as a side effect.
+ * @returns {Promise<Set<string>>} Addresses of recipients without an ATA
+ */
+async function findMissingDestinationAtas(recipients) {
+  await loadDestinationAtas(connection, recipients.map(r => r.address));
+  const missing = new Set();
+  for (const r of recipients) {
+    if (!getCachedAta(r.address).exists) missing.add(r.address.toString());
+  }
+  return missing;
+}
+
+/**
+ * Collect the accounts batches will reference, for the campaign's lookup tables
+ * @param {Array} recipients - Recipients still to be paid
+ * @param {Set<string>} missingAtas - Recipients whose destination ATA will be created
+ * @returns {Promise<PublicKey[]>} Unique addresses
+ */
+async function collectLookupTableAddresses(recipients, missingAtas) {
+  const unique = new Map();
+  const add = (key) => unique.set(key.toString(), key);
+
+  add(SystemProgram.programId);
+  if (assetMode === 'spl') {
+    add(mintPubkey);
+    add(senderAta);
+    add(tokenProgramId);
+    add(ASSOCIATED_TOKEN_PROGRAM_ID);
+  }
+  for (const r of recipients) {
+    if (assetMode === 'sol') {
+      add(r.address);
+      continue;
+    }
+    add(deriveAta(r.address));
+    if (missingAtas.has(r.address.toString())) add(r.address);
+  }
+  return Array.from(unique.values());
+}
+
+/**
+ * Reuse the lookup tables of a resumed campaign if they are all still active
+ * @returns {Promise<Array|null>} Active tables, or null if new ones are needed
+ */
+async function loadCampaignLookupTables() {
+  const saved = progressState.campaign?.lookupTables || [];
+  if (saved.length === 0) return null;
+  const tables = [];
+  for (const address of saved) {
+    const table = await fetchActiveLookupTable(connection, new PublicKey(address));
+    if (!table) return null;
+    tables.push(table);
+  }
+  return tables;
+}
+
+/**
+ * Deactivate and close the campaign's lookup tables once it has finished
+ */
+async function cleanupCampaignLookupTables() {
+  const addresses = (progressState.campaign?.lookupTables || []).map(a => new PublicKey(a));
+  if (addresses.length === 0) return;
+  try {
+    const closed = await closeLookupTables(connection, getProvider(), getWallet(), addresses, () => abortRequested);
+    if (closed) {
+      progressState.campaign.lookupTables = [];
+      await saveActiveCampaign();
+    }
+  } catch (e) {
+    log(`⚠️ Could not close lookup table(s) ${addresses.map(a => a.toString()).join(', ')}: ${e?.message || String(e)}`, 'warning');
+  }
+}
+
+/**
+ * Current epoch, which selects the active transfer fee of a Token-2022 mint
+ */
+async function getCurrentEpoch() {
+  if (!mintExtensions.transferFeeConfig) return 0n;
+  const { epoch } = await connection.getEpochInfo('confirmed');
+  return BigInt(epoch);
+}
+
+/**
+ * Amount debited from the sender for a recipient, grossed up for the transfer fee if enabled
+ */
+function transferAmountFor(recipient, epoch) {
+  return grossUpTransferFees
+    ? grossUpForFee(mintExtensions.transferFeeConfig, epoch, recipient.amount)
+    : recipient.amount;
+}
+
+/**
+ * Memo attached to a recipient's transfer: its own, else the campaign memo
+ * @returns {string|null} Memo text
+ */
+function memoFor(recipient) {
+  return recipient.memo || campaignMemo || null;
+}
+
+/**
+ * Whether the current mint belongs to Token-2022
+ */
+function isToken2022() {
+  return assetMode === 'spl' && tokenProgramId.equals(TOKEN_2022_PROGRAM_ID);
+}
+
+/**
+ * Resolve the priority fee for a transaction, falling back to none if the RPC can't estimate it
+ */
+async function getPriorityFee(writableAccounts) {
+  try {
+    return await resolvePriorityFee(connection, priorityFeeSettings, writableAccounts);
+  } catch (e) {
+    log(`⚠️ Could not estimate priority fee (${e?.message || String(e)}). Sending without one.`, 'warning');
+    return 0;
+  }
+}
+
+/**
+ * Compile instructions into a batch transaction: legacy, or v0 using the campaign's lookup tables
+ * @returns {Transaction|VersionedTransaction} Unsigned transaction
+ */
+function compileBatchTx(instructions, blockhash) {
+  if (txVersion === 'v0') {
+    const message = new TransactionMessage({
+      payerKey: getWallet(),
+      recentBlockhash: blockhash,
+      instructions
+    }).compileToV0Message(lookupTableAccounts);
+    return new VersionedTransaction(message);
+  }
+  const tx = new Transaction();
+  tx.recentBlockhash = blockhash;
+  tx.feePayer = getWallet();
+  tx.add(...instructions);
+  return tx;
+}
+
+/**
+ * Simulate instructions with the maximum compute budget and return the units they consume
+ * @returns {Promise<{units: number|null, exceeded: boolean}>} Units consumed (null if simulation
+ *   failed), and whether the instructions ran out of compute even at the maximum budget
+ */
+async function simulateComputeUnits(instructions, blockhash, microLamports) {
+  const tx = compileBatchTx([...computeBudgetInstructions(MAX_COMPUTE_UNITS, microLamports), ...instructions], blockhash);
+  const sim = await simulateTx(tx);
+  if (sim?.err) {
+    return { units: null, exceeded: JSON.stringify(sim.err).includes('ComputationalBudgetExceeded') };
+  }
+  return { units: sim?.unitsConsumed ?? null, exceeded: false };
+}
+
+/**
+ * Estimated compute units of a batch, before it is built
+ * @param {Array} batch - Recipients
+ * @param {Set<string>} missingAtas - Recipients whose destination ATA will be created
+ * @returns {number} Estimated compute units
+ */
+function estimateBatchComputeUnits(batch, missingAtas) {
+  return estimateComputeUnits({
+    transfers: batch.length,
+    ataCreations: new Set(batch.map(r => r.address.toString()).filter(a => missingAtas.has(a))).size,
+    memos: batch.filter(r => memoFor(r)).length,
+    assetMode,
+    token2022: isToken2022()
+  });
+}
+
 /**
  * Build batch transaction
  */
 async function buildBatchTx(batch) {
   const wallet = getWallet();
-  const tx = new Transaction();
   const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
-  tx.recentBlockhash = blockhash;
-  tx.feePayer = wallet;
 
+  const instructions = [];
+  const writableAccounts = [wallet];
   let ataCreations = 0;
+  // A repeated address (duplicate policy "separate") must not create its ATA twice
+  const createdAtas = new Set();
+  const epoch = assetMode === 'spl' ? await getCurrentEpoch() : 0n;
+  // Normally all cached already; only recipients never looked up are fetched
+  if (assetMode === 'spl') await loadDestinationAtas(connection, batch.map(r => r.address));
 
   for (const r of batch) {
-    const destAta = await getAssociatedTokenAddress(
-      mintPubkey, r.address, true, tokenProgramId, ASSOCIATED_TOKEN_PROGRAM_ID
-    );
-    const destInfo = await connection.getAccountInfo(destAta, 'confirmed');
-    if (!destInfo) {
-      tx.add(
-        createAssociatedTokenAccountInstruction(
+    const memo = memoFor(r);
+    if (assetMode === 'sol') {
+      if (memo) instructions.push(createMemoInstruction(memo));
+      instructions.push(
+        SystemProgram.transfer({ fromPubkey: wallet, toPubkey: r.address, lamports: r.amount })
+      );
+      writableAccounts.push(r.address);
+      continue;
+    }
+
+    const { address: destAta, exists, info: destInfo } = getCachedAta(r.address);
+    if (!exists && !createdAtas.has(destAta.toString())) {
+      createdAtas.add(destAta.toString());
+      // Idempotent, since a batch in flight at the same time may create it first (repeated addresses)
+      instructions.push(
+        createAssociatedTokenAccountIdempotentInstruction(
           wallet, destAta, r.address, mintPubkey, tokenProgramId, ASSOCIATED_TOKEN_PROGRAM_ID
         )
       );
       ataCreations++;
     }
-    tx.add(
-      createTransferCheckedInstruction(
-        senderAta, mintPubkey, destAta, wallet, r.amount, decimals, [], tokenProgramId
-      )
+    // The memo goes right before its transfer, which Token-2022 MemoTransfer accounts require
+    if (memo) {
+      instructions.push(createMemoInstruction(memo));
+    } else if (accountRequiresMemo(destAta, destInfo, tokenProgramId)) {
+      instructions.push(createMemoInstruction(DEFAULT_REQUIRED_MEMO));
+    }
+    instructions.push(
+      await buildTokenTransferInstruction(connection, {
+        source: senderAta,
+        mint: mintPubkey,
+        destination: destAta,
+        owner: wallet,
+        amount: transferAmountFor(r, epoch),
+        decimals,
+        programId: tokenProgramId,
+        extensions: mintExtensions,
+        epoch
+      })
     );
+    writableAccounts.push(destAta);
   }
+  if (assetMode === 'spl') writableAccounts.push(senderAta);
+
+  // Priority fee, and a compute-unit limit sized from simulation (estimated if simulation fails)
+  const microLamports = await getPriorityFee(writableAccounts);
+  const simulation = await simulateComputeUnits(instructions, blockhash, microLamports);
+  const computeUnitLimit = simulation.units != null
+    ? computeUnitLimitFromSimulation(simulation.units)
+    : estimateComputeUnits({ transfers: batch.length, ataCreations, memos: batch.filter(r => memoFor(r)).length, assetMode, token2022: isToken2022() });
+
+  const tx = compileBatchTx([...computeBudgetInstructions(computeUnitLimit, microLamports), ...instructions], blockhash);
+  const size = serializedTxSize(tx);
+
+  return {
+    tx,
+    blockhash,
+    ataCreations,
+    lastValidBlockHeight,
+    computeUnitLimit,
+    microLamports,
+    priorityFee: priorityFeeLamports(microLamports, computeUnitLimit),
+    size,
+    // Too large to send as one transaction: the batch has to be split before signing
+    oversized: size > MAX_TRANSACTION_SIZE || simulation.exceeded
+  };
+}
 
-  return { tx, ataCreations, lastValidBlockHeight };
+/**
+ * Log what went into a prepared batch, including its compute budget and priority fee
+ */
+function logPreparedBatch(built, batch, attemptLabel = '') {
+  log(`${attemptLabel}Prepared batch of ${batch.length}. New ATAs: ${built.ataCreations}. Size: ${built.size} bytes`, 'info');
+  const fee = built.microLamports > 0
+    ? `priority fee ${formatAmount(built.priorityFee, NATIVE_SOL_DECIMALS)} SOL (${built.microLamports} µLamports/CU)`
+    : 'no priority fee';
+  log(`${attemptLabel}Compute budget: ${built.computeUnitLimit} CU, ${fee}`, 'info');
 }
 
 /**
- * Confirm signature
+ * Estimate priority fees for all batches, for the pre-flight report
+ * @returns {Promise<{lamports: bigint, microLamports: number}>} Total fees and the price used
  */
-async function confirmSig(signature, blockhash, lastValidBlockHeight, commitment = 'finalized') {
-  const res = await connection.confirmTransaction(
-    { signature, blockhash, lastValidBlockHeight },
-    commitment
-  );
-  return !res?.value?.err;
+async function estimateCampaignPriorityFees(batches, missingAtas) {
+  const writable = [getWallet()];
+  if (assetMode === 'spl') writable.push(senderAta);
+  const microLamports = await getPriorityFee(writable);
+
+  let lamports = 0n;
+  for (const batch of batches) {
+    lamports += priorityFeeLamports(microLamports, estimateBatchComputeUnits(batch, missingAtas));
+  }
+  return { lamports, microLamports };
+}
+
+/**
+ * Wait for a broadcast transaction to finalize, sending the same signed bytes
+ * again every few seconds until it is confirmed, in case the first copy was dropped.
+ * @param {Uint8Array} raw - Serialized signed transaction
+ * @param {Object} record - Broadcast record (signature, lastValidBlockHeight)
+ * @returns {Promise<{outcome: string, err: *}>} outcome is 'landed' once it reaches the configured
+ *   landed commitment (finalized by default), 'failed' if it
+ *   landed with an error, 'expired' once its blockhash has expired without it landing, or
+ *   'unknown' if the RPC could not be queried (never safe to resend)
+ */
+async function confirmWithRebroadcast(raw, record) {
+  return pollConfirmation(connection, record.signature, {
+    lastValidBlockHeight: record.lastValidBlockHeight,
+    commitment: getCommitmentSettings().landed,
+    raw
+  });
 }
 
 /**
  * Simulate transaction
+ * Legacy transactions are wrapped in a VersionedTransaction, since only that
+ * form of simulateTransaction accepts a config object.
  */
 async function simulateTx(tx) {
   try {
-    const sim = await connection.simulateTransaction(tx, { sigVerify: false });
+    const versioned = isVersionedTx(tx) ? tx : new VersionedTransaction(tx.compileMessage());
+    const sim = await connection.simulateTransaction(versioned, {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment: 'confirmed'
+    });
     return sim.value;
   } catch (e) {
     return { err: e?.message || String(e), logs: [] };
@@ -316,106 +858,660 @@ async function simulateTx(tx) {
 }
 
 /**
- * Try to send a batch as a single atomic transaction
+ * Whether a transaction is a VersionedTransaction. Checked by shape, since
+ * wallets may return instances built with their own copy of web3.js.
  */
-async function trySendBatch(batch, { simulateBefore = false, attemptLabel = '' } = {}) {
-  const wallet = getWallet();
-  const provider = getProvider();
-  
+function isVersionedTx(tx) {
+  return tx.version !== undefined;
+}
+
+/**
+ * Fee payer signature of a signed transaction, base58 encoded
+ */
+function transactionSignature(signed) {
+  return bs58.encode(isVersionedTx(signed) ? signed.signatures[0] : signed.signature);
+}
+
+/**
+ * Run a wallet prompt once every earlier prompt has been answered
+ * @param {Function} prompt - Opens the prompt and resolves with its result
+ * @returns {Promise<*>} Result of the prompt
+ */
+function withWalletPrompt(prompt) {
+  const result = walletPrompt.then(prompt, prompt);
+  walletPrompt = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Run a worker over items with at most `limit` running at once.
+ * No new item is started once Stop is requested or a worker throws;
+ * running ones are always allowed to finish.
+ * @param {Array} items - Work items, started in order
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with each item
+ */
+async function runConcurrently(items, limit, worker) {
+  let next = 0;
+  let error = null;
+  const runner = async () => {
+    while (next < items.length && !abortRequested && !error) {
+      const item = items[next++];
+      try {
+        await worker(item);
+      } catch (e) {
+        error = error || e;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runner));
+  if (error) throw error;
+}
+
+/**
+ * Log prefix identifying a batch, needed once several batches log at the same time
+ */
+function batchLabel(batchIndex) {
+  return maxInFlight > 1 && batchIndex != null ? `[Batch ${batchIndex + 1}] ` : '';
+}
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Look up the slot a signature landed in
+ */
+async function getSignatureSlot(signature) {
   try {
-    const { tx, ataCreations, lastValidBlockHeight } = await buildBatchTx(batch);
-    log(`${attemptLabel}Prepared batch of ${batch.length}. New ATAs: ${ataCreations}`, 'info');
+    const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    return value?.[0]?.slot ?? null;
+  } catch (_) {
+    return null;
+  }
+}
 
-    if (simulateBefore) {
-      const sim = await simulateTx(tx);
-      if (sim?.err) {
-        log(`${attemptLabel}Simulation error: ${JSON.stringify(sim.err)}`, 'error');
-        if (sim?.logs?.length) log(sim.logs.join('\n'), 'error');
-        return false;
-      } else {
-        log(`${attemptLabel}Simulation OK.`, 'success');
+/**
+ * Record a signed transaction before it is broadcast so retries can check it later
+ * @param {Object} meta - batchIndex, depth and attempt name, kept for receipts
+ */
+function recordBroadcast(signature, blockhash, lastValidBlockHeight, batch, meta = {}) {
+  const record = {
+    signature,
+    blockhash,
+    lastValidBlockHeight,
+    recipients: batch.map(r => r.id),
+    batchIndex: meta.batchIndex ?? null,
+    depth: meta.depth ?? 0,
+    attempt: meta.attempt ?? null,
+    slot: null,
+    status: 'pending'
+  };
+  progressState.broadcasts.set(signature, record);
+  return record;
+}
+
+/**
+ * Wait until a broadcast signature has a definite outcome.
+ * Returns 'landed' if it succeeded on chain, 'failed' if it landed with an error,
+ * 'expired' once its blockhash has expired without it landing, or 'unknown' if
+ * the RPC could not be queried (never safe to resend).
+ */
+async function settleBroadcast(record, attemptLabel = '') {
+  let rpcErrors = 0;
+  log(`${attemptLabel}Checking status of ${record.signature} before retrying...`, 'info');
+
+  while (true) {
+    try {
+      // Read block height before status: once height is past lastValidBlockHeight
+      // and the signature is still unknown, it can no longer land.
+      const height = await connection.getBlockHeight('confirmed');
+      const { value } = await connection.getSignatureStatuses([record.signature], { searchTransactionHistory: true });
+      const status = value?.[0];
+
+      if (status) {
+        if (status.err) {
+          record.status = 'failed';
+          return 'failed';
+        }
+        if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+          record.status = 'landed';
+          record.slot = status.slot ?? null;
+          return 'landed';
+        }
+        // 'processed' - keep polling until it is confirmed or disappears
+      } else if (height > record.lastValidBlockHeight) {
+        record.status = 'expired';
+        return 'expired';
+      }
+      rpcErrors = 0;
+    } catch (e) {
+      rpcErrors++;
+      if (rpcErrors >= 10) {
+        log(`${attemptLabel}Could not query signature status: ${e?.message || String(e)}`, 'error');
+        record.status = 'unknown';
+        return 'unknown';
       }
     }
+    await sleep(2000);
+  }
+}
 
-    log(`${attemptLabel}Signing...`, 'info');
-    const signed = await provider.signTransaction(tx);
+/**
+ * Log a send error with hints for common RPC access problems
+ */
+function logSendError(e, attemptLabel) {
+  const msg = e?.message || String(e);
+  if (msg.includes('403') || msg.toLowerCase().includes('forbidden')) {
+    log('RPC returned 403 (forbidden). Use a Custom RPC URL from your provider and try again.', 'error');
+  } else if (msg.toLowerCase().includes('failed to get info about account')) {
+    log('RPC blocked account access. Use a provider RPC URL that allows browser access.', 'error');
+  }
+  log(`${attemptLabel}Batch send error: ${msg}`, 'error');
+}
+
+/**
+ * Broadcast an already signed batch transaction, confirm it and verify consensus
+ * @param {Object} opts - blockhash, lastValidBlockHeight, attemptLabel, and batchIndex/depth/attemptName for receipts
+ * @returns {Promise<{ok: boolean, broadcast: Object|null, consensus: Object|null}>} broadcast is the
+ *   record of the signed transaction if it may have reached the network
+ */
+async function sendSignedBatch(signed, batch, { blockhash, lastValidBlockHeight, attemptLabel = '', batchIndex = null, depth = 0, attemptName = 'first' }) {
+  let broadcast = null;
+
+  try {
+    // The signature is known before sending; record it so a lost response can't cause a double payment
+    const sig = transactionSignature(signed);
+    broadcast = recordBroadcast(sig, blockhash, lastValidBlockHeight, batch, { batchIndex, depth, attempt: attemptName });
+    await saveActiveCampaign();
 
     log(`${attemptLabel}Sending...`, 'info');
-    const sig = await connection.sendRawTransaction(signed.serialize(), { skipPreflight: false });
+    const raw = signed.serialize();
+    try {
+      await connection.sendRawTransaction(raw, { skipPreflight: false });
+    } catch (e) {
+      // Preflight rejections never reach the network
+      if ((e?.message || '').includes('Transaction simulation failed')) broadcast.status = 'rejected';
+      throw e;
+    }
     log(`${attemptLabel}TX sent: ${sig}`, 'success');
 
-    const ok = await confirmSig(sig, tx.recentBlockhash, tx.lastValidBlockHeight ?? lastValidBlockHeight, 'finalized');
-    if (!ok) {
-      log(`${attemptLabel}Confirmation reported failure.`, 'error');
-      return false;
+    const { outcome, err } = await confirmWithRebroadcast(raw, broadcast);
+    if (outcome === 'failed') {
+      broadcast.status = 'failed';
+      log(`${attemptLabel}Transaction failed on chain: ${JSON.stringify(err)}`, 'error');
+      return { ok: false, broadcast, consensus: null };
+    }
+    if (outcome === 'expired') {
+      broadcast.status = 'expired';
+      log(`${attemptLabel}Blockhash expired before the transaction landed.`, 'warning');
+      return { ok: false, broadcast, consensus: null };
+    }
+    if (outcome === 'unknown') {
+      return { ok: false, broadcast, consensus: null };
     }
+    broadcast.status = 'landed';
+    broadcast.slot = await getSignatureSlot(sig);
 
-    const rpc = connection._rpcEndpoint || '';
-    const devnetParam = (rpc.includes('devnet') || elements.clusterSelect.value.includes('devnet')) ? '?cluster=devnet' : '';
-    log(`${attemptLabel}Confirmed: https://solscan.io/tx/${sig}${devnetParam}`, 'success');
+    log(`${attemptLabel}Confirmed: ${explorerTxUrl(sig)}`, 'success');
 
     // Perform multi-endpoint consensus verification
-    const consensusResult = await performConsensusVerification(sig);
+    const consensusResult = await performConsensusVerification(sig, batch);
     
     // Show warning if consensus not reached (but don't fail the batch)
     if (!consensusResult.consensusReached) {
       log(`⚠️ Warning: Consensus verification did not reach threshold. Transaction may still be valid.`, 'warning');
     }
 
-    return true;
+    return { ok: true, broadcast, consensus: summarizeConsensus(consensusResult) };
   } catch (e) {
-    const msg = e?.message || String(e);
-    if (msg.includes('403') || msg.toLowerCase().includes('forbidden')) {
-      log('RPC returned 403 (forbidden). Use a Custom RPC URL from your provider and try again.', 'error');
-    } else if (msg.toLowerCase().includes('failed to get info about account')) {
-      log('RPC blocked account access. Use a provider RPC URL that allows browser access.', 'error');
+    logSendError(e, attemptLabel);
+    return { ok: false, broadcast, consensus: null };
+  }
+}
+
+/**
+ * Try to send a batch as a single atomic transaction
+ * @returns {Promise<{ok: boolean, broadcast: Object|null, consensus: Object|null, oversized?: boolean}>} See
+ *   sendSignedBatch; oversized is set when the built transaction was too large to sign
+ */
+async function trySendBatch(batch, { simulateBefore = false, attemptLabel = '', batchIndex = null, depth = 0, attemptName = 'first' } = {}) {
+  const provider = getProvider();
+  
+  try {
+    const built = await buildBatchTx(batch);
+    const { tx, blockhash, lastValidBlockHeight } = built;
+    if (built.oversized) {
+      const reason = built.size > MAX_TRANSACTION_SIZE ? `${built.size} bytes, limit ${MAX_TRANSACTION_SIZE}` : 'exceeds the compute limit in simulation';
+      log(`${attemptLabel}Batch of ${batch.length} does not fit in one transaction (${reason}).`, 'warning');
+      return { ok: false, broadcast: null, consensus: null, oversized: true };
     }
-    log(`${attemptLabel}Batch send error: ${msg}`, 'error');
-    return false;
+    logPreparedBatch(built, batch, attemptLabel);
+
+    if (simulateBefore) {
+      const sim = await simulateTx(tx);
+      if (sim?.err) {
+        log(`${attemptLabel}Simulation error: ${JSON.stringify(sim.err)}`, 'error');
+        if (sim?.logs?.length) log(sim.logs.join('\n'), 'error');
+        return { ok: false, broadcast: null, consensus: null };
+      } else {
+        log(`${attemptLabel}Simulation OK.`, 'success');
+      }
+    }
+
+    log(`${attemptLabel}Signing...`, 'info');
+    const signed = await withWalletPrompt(() => provider.signTransaction(tx));
+
+    return await sendSignedBatch(signed, batch, {
+      blockhash,
+      lastValidBlockHeight,
+      attemptLabel,
+      batchIndex,
+      depth,
+      attemptName
+    });
+  } catch (e) {
+    logSendError(e, attemptLabel);
+    return { ok: false, broadcast: null, consensus: null };
+  }
+}
+
+/**
+ * Resolve a failed attempt before anything is resent.
+ * Returns 'landed' if the attempt actually succeeded, 'unsafe' if its outcome
+ * cannot be determined, 'expired' if it never landed before its blockhash
+ * expired, or 'retry' if it failed (on chain or before broadcast) and
+ * resending cannot double-pay.
+ */
+async function resolveFailedAttempt(attempt, batch, attemptLabel) {
+  const record = attempt.broadcast;
+  if (!record || record.status === 'rejected') return 'retry';
+
+  // Failures and expiries seen during confirmation are already final
+  const outcome = record.status === 'failed' || record.status === 'expired'
+    ? record.status
+    : await settleBroadcast(record, attemptLabel);
+  await saveActiveCampaign();
+  if (outcome === 'landed') {
+    log(`${attemptLabel}Earlier attempt ${record.signature} landed after all. Not resending.`, 'success');
+    attempt.consensus = summarizeConsensus(await performConsensusVerification(record.signature, batch));
+    return 'landed';
+  }
+  if (outcome === 'unknown') return 'unsafe';
+  if (outcome === 'expired') return 'expired';
+  log(`${attemptLabel}Earlier attempt failed on chain. Safe to resend.`, 'info');
+  return 'retry';
+}
+
+/**
+ * Resolve an attempt, resending the whole batch with a fresh blockhash while
+ * its transaction expires without landing. Expiry means the network dropped
+ * it, not that the batch is faulty, so it isn't simulated or split.
+ * @returns {Promise<{attempt: Object, outcome: string}>} Last attempt and its
+ *   outcome: 'landed', 'unsafe', 'expired' or 'retry' (see resolveFailedAttempt)
+ */
+async function resolveWithResends(batch, attempt, { label, batchIndex, depth }) {
+  let outcome = attempt.ok ? 'landed' : await resolveFailedAttempt(attempt, batch, label);
+  for (let resends = 1; outcome === 'expired' && resends <= MAX_EXPIRED_RESENDS && !abortRequested; resends++) {
+    log(`${label}Expired without landing. Resending the batch with a fresh blockhash (${resends}/${MAX_EXPIRED_RESENDS})...`, 'warning');
+    attempt = await trySendBatch(batch, {
+      attemptLabel: `${label}[Resend] `,
+      batchIndex,
+      depth,
+      attemptName: 'resend'
+    });
+    outcome = attempt.ok ? 'landed' : await resolveFailedAttempt(attempt, batch, `${label}[Resend] `);
+  }
+  return { attempt, outcome };
+}
+
+/**
+ * Mark a batch as completed by a landed attempt and record receipts
+ */
+function completeBatch(batch, attempt) {
+  const { broadcast, consensus } = attempt;
+  // A landed transfer means the destination ATA exists now
+  if (assetMode === 'spl') markAtasCreated(batch.map(r => r.address));
+  for (const r of batch) {
+    progressState.completedRecipients.add(r.id);
+    recordReceipt(r, {
+      status: 'completed',
+      signature: broadcast.signature,
+      slot: broadcast.slot,
+      batchIndex: broadcast.batchIndex,
+      depth: broadcast.depth,
+      attempt: broadcast.attempt,
+      consensus
+    });
   }
+  updateProgress();
+  saveActiveCampaign();
+}
+
+/**
+ * Mark a batch as failed and record receipts with its last signature, if any
+ */
+function failBatch(batch, attempt, status, { batchIndex = null, depth = 0 } = {}) {
+  for (const r of batch) {
+    progressState.failedRecipients.push(r);
+    recordReceipt(r, {
+      status,
+      signature: attempt?.broadcast?.signature,
+      batchIndex: attempt?.broadcast?.batchIndex ?? batchIndex,
+      depth: attempt?.broadcast?.depth ?? depth,
+      attempt: attempt?.broadcast?.attempt
+    });
+  }
+  updateProgress();
+  saveActiveCampaign();
+}
+
+/**
+ * Mark a batch as failed because its last attempt could not be verified either way
+ */
+function failUnverifiedBatch(batch, attempt, label) {
+  log(`${label}Outcome of ${attempt.broadcast.signature} could not be verified. Not resending ${batch.length} recipient(s); check the signature manually before paying them again.`, 'error');
+  failBatch(batch, attempt, 'unverified');
 }
 
 /**
  * Recursive batch processor - splits failed batches to isolate issues
+ * @param {Array} batch - Recipients to send in one transaction
+ * @param {number} depth - Split depth
+ * @param {Object} [opts]
+ * @param {number} [opts.batchIndex] - Index of the original batch, for receipts
+ * @param {Object} [opts.firstAttempt] - Result of an attempt already made elsewhere (e.g. a signed window)
  */
-async function processBatchRecursive(batch, depth = 0) {
-  const label = depth ? `[Depth ${depth}] ` : '';
-  const ok = await trySendBatch(batch, { simulateBefore: false, attemptLabel: label });
-  if (ok) {
-    for (const r of batch) progressState.completedRecipients.add(r.address.toString());
-    updateProgress();
+async function processBatchRecursive(batch, depth = 0, { batchIndex = null, firstAttempt = null } = {}) {
+  const label = `${batchLabel(batchIndex)}${depth ? `[Depth ${depth}] ` : ''}`;
+  const context = { label, batchIndex, depth };
+  const firstTry = firstAttempt || await trySendBatch(batch, {
+    simulateBefore: false,
+    attemptLabel: label,
+    batchIndex,
+    depth,
+    attemptName: 'first'
+  });
+  // Nothing was signed, so an oversized batch can be split straight away
+  if (firstTry.oversized && batch.length > 1) {
+    await splitBatch(batch, depth, { batchIndex, label });
     return;
   }
 
-  const okRetry = await trySendBatch(batch, { simulateBefore: true, attemptLabel: `${label}[Retry] ` });
-  if (okRetry) {
-    for (const r of batch) progressState.completedRecipients.add(r.address.toString());
-    updateProgress();
+  const { attempt: first, outcome: firstOutcome } = await resolveWithResends(batch, firstTry, context);
+  if (firstOutcome === 'landed') {
+    completeBatch(batch, first);
+    return;
+  }
+  if (firstOutcome === 'unsafe') {
+    failUnverifiedBatch(batch, first, label);
+    return;
+  }
+  // Stopped while resending an expired batch: nothing landed, so its recipients stay pending
+  if (firstOutcome === 'expired' && abortRequested) return;
+
+  // The cache may be stale (e.g. an ATA closed or created by someone else); refresh this batch's entries once
+  if (assetMode === 'spl') {
+    try {
+      await loadDestinationAtas(connection, batch.map(r => r.address), { refresh: true });
+    } catch (e) {
+      log(`${label}Could not refresh destination accounts: ${e?.message || String(e)}`, 'warning');
+    }
+  }
+
+  const { attempt: retry, outcome: retryOutcome } = await resolveWithResends(batch, await trySendBatch(batch, {
+    simulateBefore: true,
+    attemptLabel: `${label}[Retry] `,
+    batchIndex,
+    depth,
+    attemptName: 'retry'
+  }), { ...context, label: `${label}[Retry] ` });
+  if (retryOutcome === 'landed') {
+    completeBatch(batch, retry);
+    return;
+  }
+  if (retryOutcome === 'unsafe') {
+    failUnverifiedBatch(batch, retry, label);
     return;
   }
+  if (retryOutcome === 'expired' && abortRequested) return;
 
   if (batch.length === 1) {
     const r = batch[0];
-    progressState.failedRecipients.push(r);
-    log(`${label}Recipient failed permanently: ${r.address.toString()}`, 'error');
-    updateProgress();
+    log(`${label}Recipient failed permanently: ${r.address.toString()} (line ${r.line})`, 'error');
+    failBatch(batch, retry, 'failed', { batchIndex, depth });
     return;
   }
 
+  await splitBatch(batch, depth, { batchIndex, label, reason: 'to isolate failures', level: 'error' });
+}
+
+/**
+ * Split a batch in half and process each half on its own
+ * @param {Array} batch - Recipients of the batch
+ * @param {number} depth - Split depth of the batch
+ * @param {Object} opts - batchIndex, and the log label, reason and level for the split message
+ */
+async function splitBatch(batch, depth, { batchIndex = null, label = '', reason = 'to fit in one transaction', level = 'warning' }) {
   const mid = Math.floor(batch.length / 2);
   const left = batch.slice(0, mid);
   const right = batch.slice(mid);
 
-  log(`${label}Splitting batch (${batch.length}) into ${left.length} + ${right.length} to isolate failures...`, 'error');
+  log(`${label}Splitting batch (${batch.length}) into ${left.length} + ${right.length} ${reason}...`, level);
+
+  await processBatchRecursive(left, depth + 1, { batchIndex });
+  await processBatchRecursive(right, depth + 1, { batchIndex });
+}
+
+/**
+ * Check transactions left in flight by an interrupted session.
+ * Recipients of landed transactions are marked completed; anything that
+ * can't be determined is marked failed instead of being paid again.
+ */
+async function settleInFlightBroadcasts() {
+  const inFlight = Array.from(progressState.broadcasts.values())
+    .filter(b => b.status === 'pending' || b.status === 'unknown');
+  if (inFlight.length === 0) return;
+
+  log(`Checking ${inFlight.length} in-flight transaction(s) from the previous session against the chain...`, 'info');
+  for (const record of inFlight) {
+    const outcome = await settleBroadcast(record);
+    const batch = progressState.allRecipients.filter(r => record.recipients.includes(r.id));
+    if (outcome === 'landed') {
+      log(`In-flight transaction ${record.signature} landed. ${batch.length} recipient(s) marked completed.`, 'success');
+      completeBatch(batch, { broadcast: record, consensus: summarizeConsensus(await performConsensusVerification(record.signature, batch)) });
+    } else if (outcome === 'unknown') {
+      failUnverifiedBatch(batch, { broadcast: record }, '');
+    } else {
+      log(`In-flight transaction ${record.signature} ${outcome === 'failed' ? 'failed on chain' : 'expired'}. Its recipients will be sent again.`, 'info');
+    }
+  }
+  await saveActiveCampaign();
+}
+
+/**
+ * Send one batch with recursive splitting, as a unit of work for runConcurrently
+ * @param {{batch: Array, index: number}} item - Batch and its overall index
+ * @param {number} totalBatches - Total number of batches in the campaign
+ */
+async function processBatch(item, totalBatches) {
+  const batch = item.batch.filter(r => !progressState.completedRecipients.has(r.id));
+  if (batch.length === 0) return;
+
+  log(`--- Batch ${item.index + 1}/${totalBatches} (recipients: ${batch.length}) ---`, 'info');
+  await processBatchRecursive(batch, 0, { batchIndex: item.index });
+}
+
+/**
+ * Send a window of batches signed with a single signAllTransactions prompt.
+ * The signed transactions are sent with up to maxInFlight in flight at once.
+ * Transactions whose blockhash expires before they are sent are rebuilt and
+ * re-signed together; batches that fail, or that cannot be built or checked
+ * because of an RPC error, fall back to recursive splitting.
+ * @param {Array<{batch: Array, index: number}>} items - Batches in this window with their overall index
+ * @param {number} totalBatches - Total number of batches in the campaign
+ */
+async function processBatchWindow(items, totalBatches) {
+  const provider = getProvider();
+  let pending = items;
+
+  while (pending.length > 0) {
+    if (abortRequested) return;
+
+    const built = [];
+    const separate = [];
+    for (const item of pending) {
+      try {
+        const prepared = { ...item, ...(await buildBatchTx(item.batch)) };
+        (prepared.oversized ? separate : built).push(prepared);
+      } catch (e) {
+        log(`${batchLabel(item.index)}Could not build the transaction: ${e?.message || String(e)}. Sending it with its own prompt.`, 'warning');
+        separate.push(item);
+      }
+    }
+
+    // Batches that don't fit in one transaction or failed to build are left out of the window and sent on their own
+    if (separate.length > 0) {
+      await runConcurrently(separate, maxInFlight, item => processBatch(item, totalBatches));
+      if (built.length === 0) return;
+    }
+
+    log(`Signing ${built.length} batch transaction(s) with one wallet prompt...`, 'info');
+    let signedTxs;
+    try {
+      signedTxs = await withWalletPrompt(() => provider.signAllTransactions(built.map(b => b.tx)));
+    } catch (e) {
+      if (e?.code === 4001) throw new Error('User rejected the signing request.');
+      log(`signAllTransactions failed: ${e?.message || String(e)}. Falling back to one prompt per batch.`, 'warning');
+      await runConcurrently(built, maxInFlight, item => processBatch(item, totalBatches));
+      return;
+    }
+
+    // Batches not started when Stop is requested were signed but never broadcast - safe to leave pending
+    const expired = [];
+    await runConcurrently(built.map((item, j) => ({ item, signed: signedTxs[j] })), maxInFlight, async ({ item, signed }) => {
+      const label = batchLabel(item.index);
+      log(`--- Batch ${item.index + 1}/${totalBatches} (recipients: ${item.batch.length}) ---`, 'info');
+      logPreparedBatch(item, item.batch, label);
+
+      // Don't broadcast a transaction whose blockhash is about to expire; re-sign it instead
+      let height;
+      try {
+        height = await connection.getBlockHeight('confirmed');
+      } catch (e) {
+        // Nothing was broadcast, so the batch can safely be built and signed again on its own
+        log(`${label}Could not check the block height: ${e?.message || String(e)}. Sending the batch with its own prompt.`, 'warning');
+        await processBatchRecursive(item.batch, 0, { batchIndex: item.index });
+        return;
+      }
+      if (height >= item.lastValidBlockHeight - BLOCKHASH_EXPIRY_MARGIN) {
+        log(`${label}Blockhash expired before sending. Batch will be re-signed.`, 'warning');
+        expired.push({ batch: item.batch, index: item.index });
+        return;
+      }
+
+      const attempt = await sendSignedBatch(signed, item.batch, {
+        blockhash: item.blockhash,
+        lastValidBlockHeight: item.lastValidBlockHeight,
+        attemptLabel: label,
+        batchIndex: item.index,
+        attemptName: 'window'
+      });
+      if (attempt.ok) {
+        completeBatch(item.batch, attempt);
+      } else {
+        await processBatchRecursive(item.batch, 0, { batchIndex: item.index, firstAttempt: attempt });
+      }
+    });
 
-  await processBatchRecursive(left, depth + 1);
-  await processBatchRecursive(right, depth + 1);
+    pending = expired.sort((a, b) => a.index - b.index);
+  }
+}
+
+/**
+ * Detect the token program owning a mint
+ * @param {PublicKey} mint - Mint address
+ * @returns {Promise<PublicKey>} TOKEN_PROGRAM_ID or TOKEN_2022_PROGRAM_ID
+ */
+async function detectTokenProgram(mint) {
+  const mintAcct = await connection.getAccountInfo(mint, 'confirmed');
+  if (!mintAcct) throw new Error('Mint account not found on this cluster.');
+  const token2022 = TOKEN_2022_PROGRAM_ID ?? TOKEN_PROGRAM_ID;
+  return mintAcct.owner?.toString() === token2022.toString() ? token2022 : TOKEN_PROGRAM_ID;
+}
+
+/**
+ * Look up the decimals of the asset being sent, without changing send state
+ * @param {string} mintStr - Mint address (ignored for native SOL)
+ * @param {string} mode - 'spl' or 'sol'
+ * @returns {Promise<number>} Decimals
+ */
+export async function fetchAssetDecimals(mintStr, mode) {
+  if (mode === 'sol') return NATIVE_SOL_DECIMALS;
+  const mint = new PublicKey(mintStr);
+  const programId = await detectTokenProgram(mint);
+  const mintInfo = await getMint(connection, mint, 'confirmed', programId);
+  return mintInfo.decimals;
+}
+
+/**
+ * Resolve mint, token program, decimals, extensions and sender ATA for SPL token mode
+ * @returns {Promise<string[]>} Reasons the mint can't be sent, if any
+ */
+async function prepareTokenMint(mintStr) {
+  const wallet = getWallet();
+
+  mintPubkey = new PublicKey(mintStr);
+
+  // Detect token program by mint owner
+  tokenProgramId = await detectTokenProgram(mintPubkey);
+  log(`Program: ${tokenProgramId.toString() === TOKEN_PROGRAM_ID.toString() ? 'SPL Token (legacy)' : 'Token-2022'}`, 'info');
+
+  const mintInfo = await getMint(connection, mintPubkey, 'confirmed', tokenProgramId);
+  decimals = mintInfo.decimals;
+  tokenAccountSize = getAccountLenForMint(mintInfo);
+  log(`Decimals: ${decimals}`, 'info');
+
+  // Token-2022 extensions change how transfers must be built
+  mintExtensions = inspectMintExtensions(mintInfo, isToken2022());
+  if (mintExtensions.names.length > 0) {
+    log(`Token-2022 extensions: ${mintExtensions.names.join(', ')}`, 'info');
+  }
+  if (mintExtensions.transferFeeConfig) {
+    const fee = mintExtensions.transferFeeConfig.newerTransferFee;
+    log(`Transfer fee: ${fee.transferFeeBasisPoints / 100}% (max ${formatAmount(fee.maximumFee, decimals)}) from epoch ${fee.epoch}. ${grossUpTransferFees ? 'Amounts are grossed up so recipients receive the exact figure.' : 'Recipients receive the amount minus this fee.'}`, 'info');
+  }
+  if (mintExtensions.transferHookProgramId) {
+    log(`Transfer hook: ${mintExtensions.transferHookProgramId.toString()} (extra accounts are resolved for each transfer)`, 'info');
+  }
+  for (const warning of mintExtensions.warnings) log(`⚠️ ${warning}`, 'warning');
+
+  // Sender ATA
+  senderAta = await getAssociatedTokenAddress(
+    mintPubkey, wallet, true, tokenProgramId, ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+  log(`Sender ATA: ${senderAta.toString()}`, 'info');
+  return mintExtensions.blockers;
 }
 
 /**
  * Main send handler - process all recipients
+ * @param {Object} [options]
+ * @param {string} [options.assetMode='spl'] - 'spl' for token transfers, 'sol' for native SOL transfers
+ * @param {number} [options.signWindow=1] - Batches signed per wallet prompt (signAllTransactions when > 1)
+ * @param {string} [options.resumeCampaignId] - Saved campaign to resume instead of starting a new one
+ * @param {Object} [options.priorityFee] - { mode: 'off'|'fixed'|'auto', microLamports } (cap in auto mode)
+ * @param {string} [options.txVersion='legacy'] - 'legacy' or 'v0' (versioned transactions with lookup tables)
+ * @param {string} [options.duplicatePolicy='reject'] - How repeated addresses are handled: 'reject', 'merge' or 'separate'
+ * @param {boolean} [options.grossUpTransferFees=false] - Add Token-2022 transfer fees on top so recipients get the exact amount
+ * @param {string} [options.campaignMemo] - Memo for transfers whose recipient line has none
+ * @param {string} [options.batchMode='fixed'] - 'fixed' (at most batchSize recipients per batch) or 'auto' (packed by size and compute units only)
+ * @param {number} [options.concurrency=1] - Batches sent and confirmed at the same time (1–MAX_IN_FLIGHT)
  */
-export async function sendTransactions(mintStr, recipientsList, batchSize, userRpcEndpoints, primaryEndpointByCluster) {
+export async function sendTransactions(mintStr, recipientsList, batchSize, userRpcEndpoints, primaryEndpointByCluster, options = {}) {
   const wallet = getWallet();
   
   if (!wallet) {
@@ -428,7 +1524,7 @@ export async function sendTransactions(mintStr, recipientsList, batchSize, userR
     initializeConnection(userRpcEndpoints, primaryEndpointByCluster);
   }
   
-  log(`Using RPC: ${connection._rpcEndpoint}`, 'info');
+  log(`Using RPC: ${redact(connection._rpcEndpoint)}`, 'info');
   
   // Validate endpoint configuration
   const enabledEndpoints = getEnabledEndpoints();
@@ -440,80 +1536,262 @@ export async function sendTransactions(mintStr, recipientsList, batchSize, userR
   } else {
     log(`✓ Using ${enabledEndpoints.length} endpoints for consensus verification (threshold: ${minConsensusThreshold})`, 'info');
   }
+
+  // Every endpoint must be on the selected cluster before anything is sent
+  if (!(await verifyClusterEndpoints())) {
+    return false;
+  }
   
-  mintPubkey = new PublicKey(mintStr);
+  assetMode = options.assetMode === 'sol' ? 'sol' : 'spl';
+  priorityFeeSettings = normalizePriorityFeeSettings(options.priorityFee);
+  txVersion = options.txVersion === 'v0' ? 'v0' : 'legacy';
+  grossUpTransferFees = !!options.grossUpTransferFees;
+  campaignMemo = (options.campaignMemo || '').trim();
+  const batchMode = options.batchMode === 'auto' ? 'auto' : 'fixed';
+  maxInFlight = Math.min(MAX_IN_FLIGHT, Math.max(1, parseInt(options.concurrency, 10) || 1));
+  lookupTableAccounts = [];
 
-  // Detect token program by mint owner
-  const mintAcct = await connection.getAccountInfo(mintPubkey, 'confirmed');
-  if (!mintAcct) throw new Error('Mint account not found on this cluster.');
-  const token2022 = TOKEN_2022_PROGRAM_ID ?? TOKEN_PROGRAM_ID;
-  tokenProgramId = mintAcct.owner?.toString() === token2022.toString() ? token2022 : TOKEN_PROGRAM_ID;
-  log(`Program: ${tokenProgramId.toString() === TOKEN_PROGRAM_ID.toString() ? 'SPL Token (legacy)' : 'Token-2022'}`, 'info');
+  // Resuming: the saved campaign must match the wallet and cluster
+  let savedCampaign = null;
+  if (options.resumeCampaignId) {
+    savedCampaign = await getCampaign(options.resumeCampaignId);
+    if (!savedCampaign) throw new Error('Saved campaign not found.');
+    if (savedCampaign.wallet !== wallet.toString()) {
+      log(`This campaign was sent from ${savedCampaign.wallet}. Connect that wallet to resume it.`, 'error');
+      return false;
+    }
+    if (savedCampaign.cluster !== getCurrentCluster()) {
+      log(`This campaign ran on ${savedCampaign.cluster}. Select that cluster to resume it.`, 'error');
+      return false;
+    }
+  }
 
-  const mintInfo = await getMint(connection, mintPubkey, 'confirmed', tokenProgramId);
-  decimals = mintInfo.decimals;
+  if (assetMode === 'sol') {
+    // Native SOL: no mint, ATA or getMint lookups
+    mintPubkey = null;
+    mintExtensions = inspectMintExtensions({}, false);
+    senderAta = null;
+    tokenAccountSize = 0;
+    decimals = NATIVE_SOL_DECIMALS;
+    log('Asset: Native SOL (System Program transfers, 9 decimals)', 'info');
+  } else {
+    const blockers = await prepareTokenMint(mintStr);
+    if (blockers.length > 0) {
+      for (const reason of blockers) log(`⛔ ${reason}`, 'error');
+      log('Nothing was sent.', 'error');
+      return false;
+    }
+  }
+  resetAtaCache(mintPubkey, tokenProgramId);
   progressState.decimals = decimals;
-  log(`Decimals: ${decimals}`, 'info');
+  const unit = assetMode === 'sol' ? 'SOL' : 'tokens';
 
-  // Sender ATA
-  senderAta = await getAssociatedTokenAddress(
-    mintPubkey, wallet, true, tokenProgramId, ASSOCIATED_TOKEN_PROGRAM_ID
-  );
-  log(`Sender ATA: ${senderAta.toString()}`, 'info');
+  // Validate every line before anything is sent
+  const validation = validateRecipients(recipientsList, decimals, options.duplicatePolicy);
+  renderValidationReport(validation);
+  if (validation.rows.length === 0) {
+    log('Recipients list empty.', 'error');
+    return false;
+  }
+  if (validation.errorCount > 0) {
+    log(`Recipients list has ${validation.errorCount} invalid line(s). Nothing was sent; see the validation report.`, 'error');
+    return false;
+  }
+  progressState.allRecipients = validation.recipients.slice();
 
-  await ensureSenderAtaExists();
-
-  // Parse recipients
-  const lines = recipientsList.split('\n').filter(l => l.trim() !== '');
-  const recipients = [];
-  for (const [i, raw] of lines.entries()) {
-    const parts = raw.split(',').map(s => s.trim());
-    if (parts.length !== 2)
-      throw new Error(`Invalid line #${i + 1}: "${raw}" (expected "address, amount")`);
-    const [addrStr, amtStr] = parts;
-    let pk;
-    try {
-      pk = new PublicKey(addrStr);
-    } catch {
-      throw new Error(`Bad address line #${i + 1}: ${addrStr}`);
+  if (savedCampaign) {
+    if (!recipientsMatchCampaign(savedCampaign, validation.recipients)) {
+      log('Recipients list differs from the saved campaign. Resume cancelled.', 'error');
+      return false;
     }
-    const amount = await import('./ui.js').then(m => m.decimalToAmount(amtStr, decimals));
-    if (amount <= 0n) throw new Error(`Amount must be > 0 line #${i + 1}`);
-    recipients.push({ address: pk, amount });
+    log(`Resuming campaign ${savedCampaign.id}...`, 'info');
+    restoreCampaignProgress(savedCampaign);
+    // Failed recipients are retried; in-flight ones are settled first
+    progressState.failedRecipients = [];
+    await settleInFlightBroadcasts();
   }
-
-  progressState.allRecipients = recipients.slice();
   updateProgress();
 
+  // Only recipients not yet completed (or unverifiable) are sent
+  const failedSet = new Set(progressState.failedRecipients.map(r => r.id));
+  const recipients = progressState.allRecipients.filter(r =>
+    !progressState.completedRecipients.has(r.id) && !failedSet.has(r.id)
+  );
+  if (savedCampaign) {
+    log(`Already paid: ${progressState.completedRecipients.size}. Remaining: ${recipients.length}.`, 'info');
+  }
+  if (recipients.length === 0) {
+    log('Nothing left to send.', 'success');
+    await setCampaignStatus(failedSet.size > 0 ? 'incomplete' : 'finished');
+    if (failedSet.size === 0) await cleanupCampaignLookupTables();
+    return true;
+  }
+
   const total = recipients.reduce((s, r) => s + r.amount, 0n);
-  log(`Recipients: ${recipients.length}, Total: ${formatAmount(total, decimals)} tokens.`, 'info');
+  log(`Recipients: ${recipients.length}, Total: ${formatAmount(total, decimals)} ${unit}.`, 'info');
 
-  // Optional: sender token balance
-  try {
-    const bal = await connection.getTokenAccountBalance(senderAta, 'confirmed');
-    log(`Sender balance (approx): ${bal?.value?.uiAmountString ?? '0'}`, 'info');
-  } catch (_) { }
+  // Token-2022 transfer fees at the current epoch
+  let transferFees = null;
+  if (mintExtensions.transferFeeConfig) {
+    const epoch = await getCurrentEpoch();
+    let debited = 0n;
+    let fees = 0n;
+    for (const r of recipients) {
+      const amount = transferAmountFor(r, epoch);
+      debited += amount;
+      fees += transferFeeFor(mintExtensions.transferFeeConfig, epoch, amount);
+    }
+    transferFees = { debited, fees, grossUp: grossUpTransferFees };
+    if (!grossUpTransferFees && fees > 0n) {
+      log(`⚠️ Recipients will receive ${formatAmount(fees, decimals)} ${unit} less in total because of the transfer fee. Enable gross-up to send the exact amounts.`, 'warning');
+    }
+  }
+
+  // Pre-flight: check balances and costs before signing anything
+  log('Running pre-flight checks...', 'info');
+  const missingAtas = assetMode === 'spl' ? await findMissingDestinationAtas(recipients) : new Set();
+
+  // Fill each batch until the recipient count (fixed mode), the transaction size or the compute budget is reached
+  const batches = formBatches(recipients, batchMode === 'auto' ? Infinity : batchSize, {
+    assetMode,
+    missingAtas,
+    memoFor,
+    priorityFee: priorityFeeSettings.mode !== 'off',
+    transferFee: !!mintExtensions.transferFeeConfig,
+    lookupTables: txVersion === 'v0',
+    computeUnitsFor: batch => estimateBatchComputeUnits(batch, missingAtas),
+    computeUnitBudget: AUTO_BATCH_COMPUTE_BUDGET
+  });
+  const priorityFees = await estimateCampaignPriorityFees(batches, missingAtas);
+
+  // v0 mode: reuse a resumed campaign's lookup tables, or plan new ones
+  let tableAddresses = [];
+  let tablePlan = null;
+  if (txVersion === 'v0') {
+    const reused = savedCampaign ? await loadCampaignLookupTables() : null;
+    if (reused) {
+      lookupTableAccounts = reused;
+      log(`Reusing ${reused.length} lookup table(s) from the saved campaign.`, 'info');
+    } else {
+      tableAddresses = await collectLookupTableAddresses(recipients, missingAtas);
+      tablePlan = planLookupTables(tableAddresses);
+    }
+  }
+  const report = await buildPreflightReport({
+    connection,
+    wallet,
+    assetMode,
+    senderAta,
+    decimals,
+    totalAmount: transferFees ? transferFees.debited : total,
+    transferFees,
+    recipientCount: recipients.length,
+    txCount: batches.length,
+    missingAtas: missingAtas.size,
+    tokenAccountSize,
+    priorityFees: priorityFees.lamports,
+    priorityFeePrice: priorityFees.microLamports,
+    priorityFeeMode: priorityFeeSettings.mode,
+    lookupTables: tablePlan && {
+      count: tablePlan.tables.length,
+      sizes: tablePlan.tables.map(t => lookupTableSize(t.length)),
+      transactions: tablePlan.setupTransactions + cleanupTransactionCount(tablePlan.tables.length)
+    }
+  });
+  renderPreflightReport(report);
+  logPreflightReport(report);
+  if (report.blocked) {
+    log('Sending blocked by pre-flight checks. Nothing was sent.', 'error');
+    return false;
+  }
+
+  log('Review the pre-flight report and click "Confirm & Send" to start.', 'info');
+  if (!(await awaitPreflightDecision())) {
+    log('Cancelled before sending. Nothing was sent.', 'warning');
+    return false;
+  }
+
+  if (!progressState.campaign) {
+    beginCampaign({
+      wallet: wallet.toString(),
+      cluster: getCurrentCluster(),
+      assetMode,
+      mint: assetMode === 'spl' ? mintPubkey.toString() : null,
+      decimals,
+      batchMode,
+      batchSize: batchMode === 'auto' ? null : batchSize,
+      signWindow: options.signWindow || 1,
+      concurrency: maxInFlight,
+      priorityFee: priorityFeeSettings,
+      txVersion,
+      duplicatePolicy: validation.duplicatePolicy,
+      grossUpTransferFees,
+      memo: campaignMemo
+    });
+  }
+  progressState.campaign.txVersion = txVersion;
+  await saveActiveCampaign();
+
+  if (assetMode === 'spl') {
+    await ensureSenderAtaExists();
+  }
+
+  if (tablePlan) {
+    // Record each table as soon as it exists, so its rent can be reclaimed if setup fails later
+    progressState.campaign.lookupTables = [];
+    lookupTableAccounts = await createCampaignLookupTables(connection, getProvider(), wallet, tableAddresses, async (address) => {
+      progressState.campaign.lookupTables.push(address.toString());
+      await saveActiveCampaign();
+    });
+  }
 
-  // Create batches
-  const batches = [];
-  for (let i = 0; i < recipients.length; i += batchSize) {
-    batches.push(recipients.slice(i, i + batchSize));
+  const packing = batchMode === 'auto'
+    ? `packed automatically, ${Math.min(...batches.map(b => b.length))}–${Math.max(...batches.map(b => b.length))} recipients each`
+    : `up to ${batchSize} recipients each`;
+  log(`Batches: ${batches.length} (${packing}, ${txVersion === 'v0' ? 'v0 with lookup tables' : 'legacy'})`, 'info');
+
+  const provider = getProvider();
+  let signWindow = Math.max(1, parseInt(options.signWindow, 10) || 1);
+  if (signWindow > 1 && typeof provider?.signAllTransactions !== 'function') {
+    log('Wallet does not support signAllTransactions. Signing one batch per prompt.', 'warning');
+    signWindow = 1;
   }
-  log(`Batches: ${batches.length} (size ${batchSize})`, 'info');
 
-  // Process batches sequentially with recursive splitting
-  for (let i = 0; i < batches.length; i++) {
-    // Check if abort was requested
-    if (abortRequested) {
-      log('⛔ Sending stopped by user. Remaining recipients will stay pending.', 'warning');
-      break;
+  if (maxInFlight > 1) {
+    log(`Sending up to ${maxInFlight} batches at the same time.`, 'info');
+  }
+
+  if (signWindow > 1) {
+    // Sign windows of batches with one prompt each, then send each window's batches concurrently
+    log(`Signing up to ${signWindow} batches per wallet prompt.`, 'info');
+    for (let i = 0; i < batches.length; i += signWindow) {
+      if (abortRequested) break;
+      const items = [];
+      for (let j = i; j < Math.min(i + signWindow, batches.length); j++) {
+        const batch = batches[j].filter(r => !progressState.completedRecipients.has(r.id));
+        if (batch.length > 0) items.push({ batch, index: j });
+      }
+      await processBatchWindow(items, batches.length);
     }
-    
-    const batch = batches[i].filter(r => !progressState.completedRecipients.has(r.address.toString()));
-    if (batch.length === 0) continue;
+  } else {
+    // Build, sign, send and confirm up to maxInFlight batches at once; each one splits on failure independently
+    await runConcurrently(batches.map((batch, index) => ({ batch, index })), maxInFlight, item => processBatch(item, batches.length));
+  }
+  if (abortRequested) {
+    log('⛔ Sending stopped by user. Batches already in flight were finished; remaining recipients will stay pending.', 'warning');
+  }
 
-    log(`--- Batch ${i + 1}/${batches.length} (recipients: ${batch.length}) ---`, 'info');
-    await processBatchRecursive(batch, 0);
+  // Persist final campaign state
+  const allDone = progressState.completedRecipients.size === progressState.allRecipients.length;
+  await setCampaignStatus(allDone ? 'finished' : abortRequested ? 'stopped' : 'incomplete');
+
+  // Lookup tables are kept while the campaign can still be resumed
+  if (progressState.campaign.lookupTables?.length) {
+    if (allDone) {
+      await cleanupCampaignLookupTables();
+    } else {
+      log(`Lookup table(s) kept so this campaign can be resumed: ${progressState.campaign.lookupTables.join(', ')}`, 'info');
+    }
   }
 
   // Final reconciliation log
@@ -521,7 +1799,7 @@ export async function sendTransactions(mintStr, recipientsList, batchSize, userR
   if (progressState.failedRecipients.length > 0) {
     log(`Failed recipients: ${progressState.failedRecipients.length}`, 'error');
     for (const r of progressState.failedRecipients) {
-      log(` - ${r.address.toString()} (${formatAmount(r.amount, decimals)})`, 'error');
+      log(` - line ${r.line}: ${r.address.toString()} (${formatAmount(r.amount, decimals)})`, 'error');
     }
     log('Tip: If you saw 403/forbidden earlier, ensure your Custom RPC URL is set and valid.', 'error');
   } else {
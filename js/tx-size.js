@@ -0,0 +1,162 @@
+/**
+ * tx-size.js - Transaction size estimates used when forming batches
+ *
+ * Batches are formed before any transaction is built, so their size is
+ * estimated from what each recipient adds: account keys, instructions and
+ * memo bytes. Estimates follow the wire format of legacy and v0 messages.
+ * Built transactions are measured exactly with serializedTxSize.
+ */
+
+// Maximum serialized transaction size
+export const MAX_TRANSACTION_SIZE = 1232;
+
+const SIGNATURE_SIZE = 64;
+const KEY_SIZE = 32;
+
+// Instruction data sizes
+const COMPUTE_LIMIT_DATA = 5;
+const COMPUTE_PRICE_DATA = 9;
+const TRANSFER_CHECKED_DATA = 10;
+const TRANSFER_CHECKED_WITH_FEE_DATA = 19;
+const SOL_TRANSFER_DATA = 12;
+
+/**
+ * Length of a compact-u16 encoding
+ */
+function compactLength(n) {
+  return n < 0x80 ? 1 : n < 0x4000 ? 2 : 3;
+}
+
+/**
+ * Size of one compiled instruction
+ */
+function instructionSize(accountCount, dataLength) {
+  return 1 + compactLength(accountCount) + accountCount + compactLength(dataLength) + dataLength;
+}
+
+/**
+ * Estimate the serialized size of a batch transaction
+ * @param {Array} batch - Recipients ({address, memo})
+ * @param {Object} ctx
+ * @param {string} ctx.assetMode - 'spl' or 'sol'
+ * @param {Set<string>} [ctx.missingAtas] - Recipient addresses whose ATA will be created
+ * @param {Function} [ctx.memoFor] - Returns the memo text for a recipient, or null
+ * @param {boolean} [ctx.priorityFee] - Whether a compute-unit price instruction is added
+ * @param {boolean} [ctx.transferFee] - Whether transfers carry a Token-2022 fee
+ * @param {boolean} [ctx.lookupTables] - Whether non-signer accounts come from lookup tables (v0)
+ * @returns {number} Estimated size in bytes
+ */
+export function estimateBatchTxSize(batch, ctx) {
+  const { assetMode, missingAtas = new Set(), memoFor = () => null } = ctx;
+  const encoder = new TextEncoder();
+
+  // Static keys: fee payer and invoked programs can never come from a lookup table
+  const staticKeys = new Set(['payer', 'computeBudget']);
+  // Other accounts, which v0 transactions look up by one-byte index
+  const lookupKeys = new Set();
+  let instructions = instructionSize(0, COMPUTE_LIMIT_DATA);
+  let ixCount = 1;
+  if (ctx.priorityFee) {
+    instructions += instructionSize(0, COMPUTE_PRICE_DATA);
+    ixCount++;
+  }
+
+  if (assetMode === 'spl') {
+    staticKeys.add('tokenProgram');
+    lookupKeys.add('senderAta');
+    lookupKeys.add('mint');
+  } else {
+    staticKeys.add('systemProgram');
+  }
+
+  const created = new Set();
+  for (const r of batch) {
+    const addr = r.address.toString();
+
+    const memo = memoFor(r);
+    if (memo) {
+      staticKeys.add('memoProgram');
+      const bytes = encoder.encode(memo).length;
+      instructions += instructionSize(0, bytes);
+      ixCount++;
+    }
+
+    if (assetMode === 'sol') {
+      lookupKeys.add(`dest:${addr}`);
+      instructions += instructionSize(2, SOL_TRANSFER_DATA);
+      ixCount++;
+      continue;
+    }
+
+    if (missingAtas.has(addr) && !created.has(addr)) {
+      created.add(addr);
+      staticKeys.add('ataProgram');
+      lookupKeys.add('systemProgram');
+      lookupKeys.add(`owner:${addr}`);
+      instructions += instructionSize(6, 0);
+      ixCount++;
+    }
+    lookupKeys.add(`dest:${addr}`);
+    instructions += instructionSize(4, ctx.transferFee ? TRANSFER_CHECKED_WITH_FEE_DATA : TRANSFER_CHECKED_DATA);
+    ixCount++;
+  }
+  for (const key of staticKeys) lookupKeys.delete(key);
+
+  const fixed = 1 + SIGNATURE_SIZE + 3 + KEY_SIZE + compactLength(ixCount) + instructions;
+  if (!ctx.lookupTables) {
+    const keys = staticKeys.size + lookupKeys.size;
+    return fixed + compactLength(keys) + KEY_SIZE * keys;
+  }
+
+  // v0: version byte, static keys, and one table reference with an index per looked-up account
+  // (campaigns spanning several tables pay another 34 bytes per extra table)
+  const tableSection = 1 + KEY_SIZE + 2 + lookupKeys.size;
+  return 1 + fixed + compactLength(staticKeys.size) + KEY_SIZE * staticKeys.size + tableSection;
+}
+
+/**
+ * Exact serialized size of a built transaction, whether legacy or v0
+ * @param {Transaction|VersionedTransaction} tx - Unsigned transaction
+ * @returns {number} Size in bytes (Infinity if the message is too large to serialize)
+ */
+export function serializedTxSize(tx) {
+  try {
+    const message = tx.version !== undefined ? tx.message : tx.compileMessage();
+    const signatures = message.header.numRequiredSignatures;
+    return compactLength(signatures) + SIGNATURE_SIZE * signatures + message.serialize().length;
+  } catch {
+    return Infinity;
+  }
+}
+
+/**
+ * Split recipients greedily into batches that each fit in one transaction:
+ * at most maxCount recipients, MAX_TRANSACTION_SIZE bytes and, when given,
+ * the compute-unit budget
+ * @param {Array} recipients - Recipients in send order
+ * @param {number} maxCount - Maximum recipients per batch (Infinity to pack by size and compute only)
+ * @param {Object} ctx - See estimateBatchTxSize, plus:
+ * @param {Function} [ctx.computeUnitsFor] - Estimated compute units of a batch
+ * @param {number} [ctx.computeUnitBudget] - Maximum estimated compute units per batch
+ * @returns {Array<Array>} Batches
+ */
+export function formBatches(recipients, maxCount, ctx) {
+  const overBudget = (batch) => !!ctx.computeUnitsFor && ctx.computeUnitsFor(batch) > ctx.computeUnitBudget;
+  const batches = [];
+  let current = [];
+  for (const r of recipients) {
+    const candidate = [...current, r];
+    if (current.length > 0 && (
+      candidate.length > maxCount
+      || estimateBatchTxSize(candidate, ctx) > MAX_TRANSACTION_SIZE
+      || overBudget(candidate)
+    )) {
+      batches.push(current);
+      current = [r];
+    } else {
+      current = candidate;
+    }
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
@@ -2,14 +2,35 @@
  * ui.js - UI helpers, logging, and progress tracking
  */
 
+import { redact } from './redact.js';
+import { MAX_BATCH_SIZE } from './constants.js';
+
 // UI element references
 export const elements = {
   connectBtn: document.getElementById('connect-wallet-btn'),
+  disconnectBtn: document.getElementById('disconnect-wallet-btn'),
   clusterSelect: document.getElementById('cluster-select'),
+  assetModeSelect: document.getElementById('asset-mode'),
+  assetModeHint: document.getElementById('asset-mode-hint'),
   mintInput: document.getElementById('token-mint-address'),
+  grossUpFeesCheckbox: document.getElementById('gross-up-fees'),
+  grossUpFeesRow: document.getElementById('gross-up-fees-row'),
   recipientsInput: document.getElementById('recipients-list'),
   trimRecipientsBtn: document.getElementById('trim-recipients-btn'),
+  validateRecipientsBtn: document.getElementById('validate-recipients-btn'),
+  duplicatePolicySelect: document.getElementById('duplicate-policy'),
+  campaignMemoInput: document.getElementById('campaign-memo'),
+  importDropZone: document.getElementById('import-drop-zone'),
+  importFileInput: document.getElementById('import-file-input'),
+  batchModeSelect: document.getElementById('batch-mode'),
   batchSizeInput: document.getElementById('batch-size'),
+  batchSizeHint: document.getElementById('batch-size-hint'),
+  txVersionSelect: document.getElementById('tx-version'),
+  signWindowInput: document.getElementById('sign-window'),
+  concurrencyInput: document.getElementById('concurrency'),
+  priorityFeeModeSelect: document.getElementById('priority-fee-mode'),
+  priorityFeeInput: document.getElementById('priority-fee-micro-lamports'),
+  priorityFeeHint: document.getElementById('priority-fee-hint'),
   sendBtn: document.getElementById('send-btn'),
   stopBtn: document.getElementById('stop-btn'),
   hint: document.getElementById('connect-hint'),
@@ -34,8 +55,15 @@ export const elements = {
 // Progress tracking state
 export const progressState = {
   allRecipients: [],
+  // Entry IDs of paid recipients (see entryId in recipients.js)
   completedRecipients: new Set(),
   failedRecipients: [],
+  // Every signed transaction handed to the network, keyed by signature
+  broadcasts: new Map(),
+  // Payout receipt for each processed recipient, keyed by entry ID (see receipts.js)
+  receipts: new Map(),
+  // Persisted campaign settings (see campaigns.js)
+  campaign: null,
   decimals: 0
 };
 
@@ -50,10 +78,43 @@ export function log(msg, type = 'info') {
     : type === 'success' ? 'text-green-400'
     : type === 'warning' ? 'text-yellow-400'
     : 'text-slate-300';
-  elements.logOutput.innerHTML += `\n<div class="${color}"><span class="text-slate-500">${ts}:</span> ${msg}</div>`;
+  // API keys never reach the log, whatever the message contains
+  elements.logOutput.innerHTML += `\n<div class="${color}"><span class="text-slate-500">${ts}:</span> ${redact(msg)}</div>`;
   elements.logOutput.scrollTop = elements.logOutput.scrollHeight;
 }
 
+/**
+ * Trigger a browser download
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Escape text for insertion into HTML, including attribute values
+ * @param {*} str - Text (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Clear the log output
  */
@@ -66,9 +127,20 @@ export function clearLog() {
  * @param {boolean} connected - Whether wallet is connected
  */
 export function setUi(connected) {
-  elements.mintInput.disabled = !connected;
+  elements.assetModeSelect.disabled = !connected;
+  elements.mintInput.disabled = !connected || isNativeSolMode();
+  elements.grossUpFeesCheckbox.disabled = !connected || isNativeSolMode();
   elements.recipientsInput.disabled = !connected;
-  elements.batchSizeInput.disabled = !connected;
+  elements.validateRecipientsBtn.disabled = !connected;
+  elements.duplicatePolicySelect.disabled = !connected;
+  elements.campaignMemoInput.disabled = !connected;
+  elements.batchModeSelect.disabled = !connected;
+  elements.batchSizeInput.disabled = !connected || elements.batchModeSelect.value === 'auto';
+  elements.txVersionSelect.disabled = !connected;
+  elements.signWindowInput.disabled = !connected;
+  elements.concurrencyInput.disabled = !connected;
+  elements.priorityFeeModeSelect.disabled = !connected;
+  elements.priorityFeeInput.disabled = !connected || elements.priorityFeeModeSelect.value === 'off';
   elements.sendBtn.disabled = !connected;
   elements.sendBtn.textContent = connected ? 'Prepare & Send Transactions' : 'Connect Wallet to Start';
   elements.hint.textContent = connected
@@ -76,6 +148,65 @@ export function setUi(connected) {
     : 'Please connect your wallet first to enable the form.';
 }
 
+/**
+ * Whether the asset selector is set to native SOL
+ * @returns {boolean} True when sending SOL instead of an SPL token
+ */
+export function isNativeSolMode() {
+  return elements.assetModeSelect?.value === 'sol';
+}
+
+/**
+ * Sync mint input state with the selected asset mode
+ */
+export function applyAssetMode() {
+  const native = isNativeSolMode();
+  elements.mintInput.disabled = native || elements.assetModeSelect.disabled;
+  elements.mintInput.placeholder = native
+    ? 'Not used for native SOL transfers'
+    : 'Base58 mint address (e.g., EPjFW...)';
+  elements.assetModeHint.style.display = native ? 'block' : 'none';
+  elements.grossUpFeesCheckbox.disabled = native || elements.assetModeSelect.disabled;
+  elements.grossUpFeesRow.style.display = native ? 'none' : 'flex';
+}
+
+/**
+ * Sync the batch size limit and hint with the selected transaction format
+ */
+export function applyTxVersion() {
+  const version = elements.txVersionSelect.value;
+  elements.batchSizeInput.max = String(MAX_BATCH_SIZE[version]);
+  applyBatchMode();
+}
+
+/**
+ * Sync the batch size input and hint with the selected batch mode and transaction format
+ */
+export function applyBatchMode() {
+  const auto = elements.batchModeSelect.value === 'auto';
+  elements.batchSizeInput.disabled = auto || elements.batchModeSelect.disabled;
+  if (auto) {
+    elements.batchSizeHint.textContent = 'Each transaction is filled until it reaches 1232 bytes or the compute budget, mixing cheap transfers with ones that create ATAs.';
+  } else {
+    elements.batchSizeHint.textContent = elements.txVersionSelect.value === 'v0'
+      ? `Up to ${MAX_BATCH_SIZE.v0} transfers per transaction; accounts are looked up from the campaign's lookup tables.`
+      : 'If creating many ATAs, use 3–6 to avoid tx size limits.';
+  }
+}
+
+/**
+ * Sync the priority fee input and hint with the selected fee mode
+ */
+export function applyPriorityFeeMode() {
+  const mode = elements.priorityFeeModeSelect.value;
+  elements.priorityFeeInput.disabled = mode === 'off' || elements.priorityFeeModeSelect.disabled;
+  elements.priorityFeeHint.textContent = {
+    off: 'No priority fee. Batches may land slowly when the network is busy.',
+    fixed: 'Pay this many µLamports per compute unit on every batch.',
+    auto: 'Auto pays the 75th percentile of recent fees for the accounts each batch writes to, capped at this many µLamports per compute unit.'
+  }[mode];
+}
+
 /**
  * Update progress bar and counters
  */
@@ -105,13 +236,14 @@ function updateDetailLists() {
   // Create a map for O(1) recipient lookups
   const recipientMap = new Map();
   for (const recipient of progressState.allRecipients) {
-    recipientMap.set(recipient.address.toString(), recipient);
+    recipientMap.set(recipient.id, recipient);
   }
   
   // Completed list
-  const completedHtml = Array.from(progressState.completedRecipients).map(addr => {
-    const recipient = recipientMap.get(addr);
+  const completedHtml = Array.from(progressState.completedRecipients).map(id => {
+    const recipient = recipientMap.get(id);
     if (!recipient) return '';
+    const addr = recipient.address.toString();
     const amount = formatAmount(recipient.amount, decimals);
     return `<div class="py-1 border-b border-slate-600 last:border-b-0">
       <div class="font-mono text-[10px] text-slate-400 truncate">${addr}</div>
@@ -133,11 +265,8 @@ function updateDetailLists() {
 
   // Pending list (allRecipients - completed - failed)
   const completedSet = progressState.completedRecipients;
-  const failedSet = new Set(progressState.failedRecipients.map(r => r.address.toString()));
-  const pendingRecipients = progressState.allRecipients.filter(r => {
-    const addr = r.address.toString();
-    return !completedSet.has(addr) && !failedSet.has(addr);
-  });
+  const failedSet = new Set(progressState.failedRecipients.map(r => r.id));
+  const pendingRecipients = progressState.allRecipients.filter(r => !completedSet.has(r.id) && !failedSet.has(r.id));
   
   const pendingHtml = pendingRecipients.map(recipient => {
     const addr = recipient.address.toString();
@@ -157,6 +286,9 @@ export function resetProgress() {
   progressState.allRecipients = [];
   progressState.completedRecipients = new Set();
   progressState.failedRecipients = [];
+  progressState.broadcasts = new Map();
+  progressState.receipts = new Map();
+  progressState.campaign = null;
   progressState.decimals = 0;
   
   // Collapse all detail sections
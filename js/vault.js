@@ -0,0 +1,159 @@
+/**
+ * vault.js - Passphrase-encrypted storage for RPC API keys
+ *
+ * API keys are encrypted with AES-GCM under a key derived from a passphrase
+ * with PBKDF2 (WebCrypto), and only the ciphertext is kept in localStorage.
+ * Once unlocked, the derived key stays in memory until the page is closed.
+ */
+
+const VAULT_STORAGE_KEY = 'rpcKeyVault';
+
+// PBKDF2-SHA256 iterations for new vaults (existing vaults keep their own count)
+export const PBKDF2_ITERATIONS = 310_000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Derived key and its parameters for this session
+let sessionKey = null;
+let sessionSalt = null;
+let sessionIterations = PBKDF2_ITERATIONS;
+
+/**
+ * Encode bytes as base64
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ */
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ * @param {string} passphrase - Vault passphrase
+ * @param {Uint8Array} salt - Random salt stored with the vault
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-256-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Stored vault record, or null if there is none
+ */
+function readVault() {
+  try {
+    const vault = JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+    return vault && vault.salt && vault.iv && vault.data ? vault : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether API keys are stored in the vault
+ * @returns {boolean}
+ */
+export function isVaultEnabled() {
+  return readVault() !== null;
+}
+
+/**
+ * Whether the vault has been unlocked in this session
+ * @returns {boolean}
+ */
+export function isVaultUnlocked() {
+  return sessionKey !== null;
+}
+
+/**
+ * Create a vault with a new passphrase and store the keys in it
+ * @param {string} passphrase - New passphrase
+ * @param {Object} keys - Endpoint ID -> API key
+ */
+export async function createVault(passphrase, keys) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+  sessionSalt = crypto.getRandomValues(new Uint8Array(16));
+  sessionIterations = PBKDF2_ITERATIONS;
+  sessionKey = await deriveKey(passphrase, sessionSalt, sessionIterations);
+  await sealKeys(keys);
+}
+
+/**
+ * Unlock the vault for this session
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<Object>} Endpoint ID -> API key
+ */
+export async function unlockVault(passphrase) {
+  const vault = readVault();
+  if (!vault) throw new Error('No key vault is set up.');
+
+  const salt = fromBase64(vault.salt);
+  const iterations = vault.iterations || PBKDF2_ITERATIONS;
+  const key = await deriveKey(passphrase, salt, iterations);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data));
+  } catch (e) {
+    // AES-GCM authentication fails on a wrong passphrase
+    throw new Error('Wrong passphrase.');
+  }
+
+  sessionKey = key;
+  sessionSalt = salt;
+  sessionIterations = iterations;
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Encrypt the keys with the session key and store them, replacing the previous contents
+ * @param {Object} keys - Endpoint ID -> API key
+ */
+export async function sealKeys(keys) {
+  if (!sessionKey) throw new Error('Unlock the key vault first.');
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    sessionKey,
+    new TextEncoder().encode(JSON.stringify(keys))
+  );
+  localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify({
+    version: 1,
+    kdf: 'PBKDF2-SHA256',
+    iterations: sessionIterations,
+    salt: toBase64(sessionSalt),
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data))
+  }));
+}
+
+/**
+ * Delete the vault and forget the session key
+ */
+export function removeVault() {
+  localStorage.removeItem(VAULT_STORAGE_KEY);
+  sessionKey = null;
+  sessionSalt = null;
+}
@@ -1,13 +1,30 @@
 /**
  * wallet.js - Wallet connection and state management
+ *
+ * Wallets are discovered through the Wallet Standard registry, so any Solana
+ * wallet that registers itself (Phantom, Solflare, Backpack, ...) can be used.
+ * The chosen wallet is wrapped in a provider object exposing the same
+ * signTransaction / signAllTransactions / on('disconnect') surface the rest of
+ * the app calls.
  */
 
+import { getWallets } from 'https://esm.sh/@wallet-standard/app@1.1.0';
+import { PublicKey, Transaction, VersionedTransaction } from 'https://esm.sh/@solana/web3.js@1.95.3';
 import { log, setUi, elements } from './ui.js';
+import { getCurrentCluster } from './rpc-config.js';
+
+// localStorage key for the wallet to reconnect to on load
+const LAST_WALLET_KEY = 'lastWalletName';
+
+// How long to wait for the remembered wallet to register itself on load
+const RECONNECT_WAIT_MS = 3000;
 
 // Wallet state
 export let provider = null;
 export let wallet = null;
 
+const walletsApi = getWallets();
+
 /**
  * Set wallet and provider (used internally and by other modules)
  */
@@ -31,41 +48,257 @@ export function getProvider() {
 }
 
 /**
- * Connect wallet
+ * Whether a registered Standard wallet can be used to sign Solana transactions
  */
-export async function connectWallet() {
-  const injected = window.phantom?.solana || window.solana;
-  if (!injected || !injected.isPhantom) {
-    log('Phantom wallet not found. Install: https://phantom.app/', 'error');
-    window.open('https://phantom.app/', '_blank');
-    return;
+function isSolanaWallet(standardWallet) {
+  const features = standardWallet.features || {};
+  return !!features['standard:connect']
+    && !!features['solana:signTransaction']
+    && standardWallet.chains.some(chain => chain.startsWith('solana:'));
+}
+
+/**
+ * List registered Solana wallets
+ * @returns {Array} Wallet Standard wallets
+ */
+export function getSolanaWallets() {
+  return walletsApi.get().filter(isSolanaWallet);
+}
+
+/**
+ * Serialize a transaction for the wallet, without requiring signatures
+ */
+function serializeForSigning(tx) {
+  return tx.version !== undefined
+    ? tx.serialize()
+    : tx.serialize({ requireAllSignatures: false, verifySignatures: false });
+}
+
+/**
+ * Wrap a Wallet Standard wallet and account in the provider interface used by the app
+ * @param {Object} standardWallet - Wallet Standard wallet
+ * @param {Object} account - Connected wallet account
+ * @returns {Object} Provider
+ */
+function createStandardProvider(standardWallet, account) {
+  const features = standardWallet.features;
+
+  const signTransactions = async (txs) => {
+    const chain = `solana:${getCurrentCluster()}`;
+    const inputs = txs.map(tx => ({
+      account,
+      transaction: serializeForSigning(tx),
+      ...(standardWallet.chains.includes(chain) ? { chain } : {})
+    }));
+    const outputs = await features['solana:signTransaction'].signTransaction(...inputs);
+    return outputs.map((output, i) => (txs[i].version !== undefined
+      ? VersionedTransaction.deserialize(output.signedTransaction)
+      : Transaction.from(output.signedTransaction)));
+  };
+
+  return {
+    name: standardWallet.name,
+    publicKey: new PublicKey(account.publicKey),
+    async signTransaction(tx) {
+      const [signed] = await signTransactions([tx]);
+      return signed;
+    },
+    signAllTransactions: signTransactions,
+    async disconnect() {
+      await features['standard:disconnect']?.disconnect();
+    },
+    on(event, listener) {
+      if (event !== 'disconnect' || !features['standard:events']) return;
+      features['standard:events'].on('change', ({ accounts }) => {
+        if (accounts && !accounts.some(a => a.address === account.address)) listener();
+      });
+    }
+  };
+}
+
+/**
+ * Update state and UI once a wallet is connected
+ */
+function onConnected(newProvider, publicKey) {
+  provider = newProvider;
+  wallet = publicKey;
+  log(`Wallet connected${newProvider.name ? ` (${newProvider.name})` : ''}.`, 'success');
+  log(`Address: ${wallet.toString()}`);
+  elements.connectBtn.textContent = `Connected: ${wallet.toString().slice(0, 4)}...${wallet.toString().slice(-4)}`;
+  elements.connectBtn.classList.replace('bg-indigo-600', 'bg-slate-700');
+  elements.disconnectBtn.style.display = 'block';
+  setUi(true);
+
+  if (provider.on) {
+    provider.on('disconnect', () => {
+      if (provider !== newProvider) return;
+      log('Wallet disconnected.', 'error');
+      onDisconnected();
+    });
+  }
+}
+
+/**
+ * Reset state and UI after the wallet disconnects
+ */
+function onDisconnected() {
+  wallet = null;
+  provider = null;
+  elements.connectBtn.textContent = 'Connect Wallet';
+  elements.connectBtn.classList.replace('bg-slate-700', 'bg-indigo-600');
+  elements.disconnectBtn.style.display = 'none';
+  setUi(false);
+}
+
+/**
+ * Connect a registered Wallet Standard wallet
+ * @param {string} name - Wallet name
+ * @param {Object} [opts]
+ * @param {boolean} [opts.silent=false] - Only reconnect if already authorized; never prompt
+ * @returns {Promise<boolean>} True if connected
+ */
+export async function connectStandardWallet(name, { silent = false } = {}) {
+  hideWalletPicker();
+  const standardWallet = getSolanaWallets().find(w => w.name === name);
+  if (!standardWallet) {
+    if (!silent) log(`${name} is not available. Is the extension installed and unlocked?`, 'error');
+    return false;
   }
-  
+
   try {
-    provider = injected;
-    log('Requesting wallet connection...', 'info');
-    const res = await provider.connect();
-    wallet = provider.publicKey || res?.publicKey;
-    if (!wallet) throw new Error('No public key returned.');
-    log('Wallet connected.', 'success');
-    log(`Address: ${wallet.toString()}`);
-    elements.connectBtn.textContent = `Connected: ${wallet.toString().slice(0, 4)}...${wallet.toString().slice(-4)}`;
-    elements.connectBtn.classList.replace('bg-indigo-600', 'bg-slate-700');
-    setUi(true);
-
-    if (provider.on) {
-      provider.on('disconnect', () => {
-        log('Wallet disconnected.', 'error');
-        wallet = null;
-        provider = null;
-        elements.connectBtn.textContent = 'Connect Wallet';
-        elements.connectBtn.classList.replace('bg-slate-700', 'bg-indigo-600');
-        setUi(false);
-      });
+    if (!silent) log(`Requesting connection to ${name}...`, 'info');
+    const { accounts } = await standardWallet.features['standard:connect'].connect({ silent });
+    const account = (accounts || standardWallet.accounts).find(a => a.chains?.some(c => c.startsWith('solana:')))
+      || (accounts || standardWallet.accounts)[0];
+    if (!account) {
+      if (!silent) throw new Error('No account returned.');
+      return false;
     }
+
+    localStorage.setItem(LAST_WALLET_KEY, name);
+    const newProvider = createStandardProvider(standardWallet, account);
+    onConnected(newProvider, newProvider.publicKey);
+    return true;
+  } catch (e) {
+    if (silent) return false;
+    const msg = e?.message || String(e);
+    if (e?.code === 4001 || /reject/i.test(msg)) log('User rejected connection.', 'error');
+    else log(`Connect error: ${msg}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * Connect Phantom's injected provider (older versions that don't register with the Wallet Standard)
+ */
+async function connectInjectedPhantom(injected) {
+  try {
+    log('Requesting wallet connection...', 'info');
+    const res = await injected.connect();
+    const publicKey = injected.publicKey || res?.publicKey;
+    if (!publicKey) throw new Error('No public key returned.');
+    localStorage.removeItem(LAST_WALLET_KEY);
+    onConnected(injected, publicKey);
   } catch (e) {
     const msg = e?.message || String(e);
     if (e?.code === 4001) log('User rejected connection.', 'error');
     else log(`Connect error: ${msg}`, 'error');
   }
 }
+
+/**
+ * Render the wallet picker with every registered Solana wallet
+ */
+function renderWalletPicker() {
+  const list = document.getElementById('wallet-picker-list');
+  list.innerHTML = '';
+  for (const w of getSolanaWallets()) {
+    const btn = document.createElement('button');
+    btn.dataset.walletName = w.name;
+    btn.className = 'flex items-center gap-3 w-full bg-slate-600 hover:bg-slate-500 text-white text-sm py-2 px-3 rounded transition';
+    if (w.icon) {
+      const img = document.createElement('img');
+      img.src = w.icon;
+      img.alt = '';
+      img.className = 'w-6 h-6 rounded';
+      btn.appendChild(img);
+    }
+    const label = document.createElement('span');
+    label.textContent = w.name;
+    btn.appendChild(label);
+    list.appendChild(btn);
+  }
+}
+
+/**
+ * Hide the wallet picker
+ */
+export function hideWalletPicker() {
+  document.getElementById('wallet-picker').style.display = 'none';
+}
+
+/**
+ * Connect wallet: show a picker of registered wallets, or fall back to Phantom's injected provider
+ */
+export async function connectWallet() {
+  if (getSolanaWallets().length > 0) {
+    renderWalletPicker();
+    document.getElementById('wallet-picker').style.display = 'block';
+    return;
+  }
+
+  const injected = window.phantom?.solana || window.solana;
+  if (injected?.isPhantom) {
+    await connectInjectedPhantom(injected);
+    return;
+  }
+
+  log('No Solana wallet found. Install a wallet such as Phantom, Solflare or Backpack.', 'error');
+  window.open('https://phantom.app/', '_blank');
+}
+
+/**
+ * Disconnect the current wallet and forget it for automatic reconnection
+ */
+export async function disconnectWallet() {
+  const current = provider;
+  localStorage.removeItem(LAST_WALLET_KEY);
+  onDisconnected();
+  try {
+    await current?.disconnect?.();
+  } catch (e) {
+    log(`Wallet disconnect failed: ${e?.message || String(e)}`, 'warning');
+  }
+  log('Wallet disconnected.', 'info');
+}
+
+/**
+ * Reconnect the last used wallet without prompting, once it has registered
+ * @returns {Promise<boolean>} True if reconnected
+ */
+export async function reconnectLastWallet() {
+  const name = localStorage.getItem(LAST_WALLET_KEY);
+  if (!name) return false;
+
+  // Extensions may register after the page has loaded
+  if (!getSolanaWallets().some(w => w.name === name)) {
+    await new Promise(resolve => {
+      const timer = setTimeout(() => { off(); resolve(); }, RECONNECT_WAIT_MS);
+      const off = walletsApi.on('register', () => {
+        if (getSolanaWallets().some(w => w.name === name)) {
+          clearTimeout(timer);
+          off();
+          resolve();
+        }
+      });
+    });
+  }
+
+  if (wallet) return false;
+  return connectStandardWallet(name, { silent: true });
+}
+
+// Keep an open picker up to date as wallets register
+walletsApi.on('register', () => {
+  if (document.getElementById('wallet-picker')?.style.display === 'block') renderWalletPicker();
+});